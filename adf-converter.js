@@ -0,0 +1,788 @@
+/**
+ * Conversions of Atlassian Document Format (ADF) documents, the rich text
+ * format of Jira Cloud descriptions, comments and text fields, to plain
+ * text, HTML and Markdown. Jira Server wiki markup is parsed into ADF first.
+ *
+ * The conversions don't call Jira or OpenProject, everything they need to
+ * resolve mentions and attachments is passed in the context:
+ *   userMapping       Jira user ID -> OpenProject user ID
+ *   getUserName       OpenProject user ID -> display name (optional)
+ *   issueKey          Key of the converted issue, for the unmapped mentions
+ *   unmappedMentions  Map(name -> Set of issue keys), filled during conversion
+ *   attachments       Jira attachments of the issue
+ *   mediaAttachments  Map(media file ID -> attachment), see index.js
+ */
+
+const { parseWikiMarkup } = require("./jira-wiki-markup");
+const { isSafeUrl } = require("./html-sanitizer");
+
+// Flatten a document to plain text, e.g. for worklog comments and text fields
+function convertAtlassianDocumentToText(doc) {
+  if (!doc) {
+    return "";
+  }
+  if (typeof doc === "string") {
+    return doc.trim();
+  }
+
+  const blockTypes = [
+    "paragraph",
+    "heading",
+    "listItem",
+    "codeBlock",
+    "blockquote",
+    "tableRow",
+  ];
+
+  function processNode(node) {
+    if (!node) return "";
+    if (node.type === "text") return node.text || "";
+    if (node.type === "hardBreak") return "\n";
+    if (node.type === "mention" || node.type === "emoji") {
+      return node.attrs?.text || "";
+    }
+
+    const content = (node.content || []).map(processNode).join("");
+    return blockTypes.includes(node.type) ? `${content}\n` : content;
+  }
+
+  return processNode(doc).replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// Jira panel types and the label they are rendered with
+const PANEL_LABELS = {
+  info: "ℹ️ Info",
+  note: "📝 Note",
+  warning: "⚠️ Warning",
+  success: "✅ Success",
+  error: "⛔ Error",
+  tip: "💡 Tip",
+};
+
+// Background and text colors of Jira status lozenges
+const STATUS_COLORS = {
+  neutral: ["#dfe1e6", "#42526e"],
+  purple: ["#eae6ff", "#403294"],
+  blue: ["#deebff", "#0747a6"],
+  red: ["#ffebe6", "#bf2600"],
+  yellow: ["#fff0b3", "#172b4d"],
+  green: ["#e3fcef", "#006644"],
+};
+
+// ADF node and mark types without a conversion, reported in the summary
+const unsupportedAdfTypes = new Set();
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Types reported so far, in the order they were found
+function getUnsupportedAdfTypes() {
+  return Array.from(unsupportedAdfTypes);
+}
+
+function reportUnsupportedAdfType(type) {
+  if (!unsupportedAdfTypes.has(type)) {
+    console.warn(`Unsupported Jira content type "${type}", kept as a marker`);
+    unsupportedAdfTypes.add(type);
+  }
+}
+
+// The OpenProject user of a Jira mention. Unmapped users are collected in
+// context.unmappedMentions (name -> Set of issue keys) and returned without id.
+function resolveMention(attrs, context) {
+  const name =
+    String(attrs.text || "").replace(/^@/, "") || attrs.id || "unknown user";
+  const userId = context.userMapping?.[attrs.id];
+  if (!userId) {
+    if (context.unmappedMentions) {
+      if (!context.unmappedMentions.has(name)) {
+        context.unmappedMentions.set(name, new Set());
+      }
+      if (context.issueKey) {
+        context.unmappedMentions.get(name).add(context.issueKey);
+      }
+    }
+    return { name };
+  }
+
+  return { userId, name: context.getUserName?.(userId) || name };
+}
+
+// OpenProject's user mention markup, valid in HTML and Markdown
+function renderMentionTag(userId, name) {
+  const text = escapeHtml(`@${name}`);
+  return `<mention class="mention" data-id="${userId}" data-type="user" data-text="${text}">${text}</mention>`;
+}
+
+// The Jira attachment of a media node: by attachment ID, media file ID or
+// file name, in that order
+function resolveMediaAttachment(attrs, context) {
+  const attachments = context.attachments || [];
+  const name = attrs.alt || attrs.__fileName;
+  return (
+    attachments.find((a) => String(a.id) === String(attrs.id)) ||
+    context.mediaAttachments?.get(attrs.id) ||
+    attachments.find((a) => a.filename === name) ||
+    null
+  );
+}
+
+// Placeholder for an attachment, replaced once the attachment is uploaded
+function attachmentPlaceholder(attachment) {
+  return `{{jira-attachment:${attachment.id}}}`;
+}
+
+function convertAtlassianDocumentToHtml(doc, context = {}) {
+  if (!doc) {
+    return "";
+  }
+  if (typeof doc === "string") {
+    // Jira Server / Data Center (REST API v2) returns wiki markup strings
+    return convertAtlassianDocumentToHtml(parseWikiMarkup(doc), context);
+  }
+
+  function applyMark(text, mark) {
+    const attrs = mark.attrs || {};
+    switch (mark.type) {
+      case "strong":
+        return `<strong>${text}</strong>`;
+      case "em":
+        return `<em>${text}</em>`;
+      case "code":
+        return `<code>${text}</code>`;
+      case "strike":
+        return `<del>${text}</del>`;
+      case "underline":
+        return `<u>${text}</u>`;
+      case "subsup":
+        return attrs.type === "sub" ? `<sub>${text}</sub>` : `<sup>${text}</sup>`;
+      case "textColor":
+        return `<span style="color: ${escapeHtml(attrs.color)}">${text}</span>`;
+      case "backgroundColor":
+        return `<mark style="background-color: ${escapeHtml(attrs.color)}">${text}</mark>`;
+      case "link": {
+        // Links with a scheme like javascript: are kept as their text
+        if (!isSafeUrl(attrs.href)) return text;
+        const title = attrs.title ? ` title="${escapeHtml(attrs.title)}"` : "";
+        return `<a href="${escapeHtml(attrs.href)}"${title}>${text}</a>`;
+      }
+      case "annotation":
+      case "fragment":
+      case "dataConsumer":
+        // Inline comments and editor metadata have no visible output
+        return text;
+      default:
+        reportUnsupportedAdfType(`mark:${mark.type}`);
+        return text;
+    }
+  }
+
+  // Alignment and indentation marks of paragraphs and headings
+  function blockStyle(node) {
+    const styles = [];
+    for (const mark of node.marks || []) {
+      if (mark.type === "alignment" && mark.attrs?.align) {
+        const align = mark.attrs.align === "end" ? "right" : mark.attrs.align;
+        styles.push(`text-align: ${align}`);
+      } else if (mark.type === "indentation" && mark.attrs?.level) {
+        styles.push(`margin-left: ${mark.attrs.level * 30}px`);
+      }
+    }
+    return styles.length > 0 ? ` style="${styles.join("; ")}"` : "";
+  }
+
+  function formatDate(timestamp) {
+    const date = new Date(Number(timestamp));
+    return isNaN(date.getTime()) ? String(timestamp) : date.toISOString().slice(0, 10);
+  }
+
+  function renderMedia(node) {
+    const attrs = node.attrs || {};
+    if (attrs.type === "external" && attrs.url && isSafeUrl(attrs.url)) {
+      return `<img src="${escapeHtml(attrs.url)}" alt="${escapeHtml(attrs.alt || "")}" />`;
+    }
+    const attachment = resolveMediaAttachment(attrs, context);
+    if (attachment) {
+      return attachmentPlaceholder(attachment);
+    }
+    const name = attrs.alt || attrs.__fileName;
+    return `<em>[Jira attachment${name ? ` ${escapeHtml(name)}` : ""} not available]</em>`;
+  }
+
+  function renderCard(node) {
+    const attrs = node.attrs || {};
+    const url = attrs.url || attrs.data?.url;
+    const title = attrs.data?.name || url;
+    if (!url || !isSafeUrl(url)) {
+      return title ? escapeHtml(title) : "";
+    }
+    return `<a href="${escapeHtml(url)}">${escapeHtml(title)}</a>`;
+  }
+
+  function renderTableCell(node, tag, content) {
+    const attrs = node.attrs || {};
+    let attributes = "";
+    if (attrs.colspan > 1) attributes += ` colspan="${attrs.colspan}"`;
+    if (attrs.rowspan > 1) attributes += ` rowspan="${attrs.rowspan}"`;
+    if (attrs.background) {
+      attributes += ` style="background-color: ${escapeHtml(attrs.background)}"`;
+    }
+    return `<${tag}${attributes}>${content}</${tag}>`;
+  }
+
+  function processNode(node) {
+    if (!node || !node.type) return "";
+
+    const attrs = node.attrs || {};
+    const children = node.content || [];
+    const content = children.map(processNode).join("");
+
+    switch (node.type) {
+      case "doc":
+        return content;
+      case "paragraph":
+        return `<p${blockStyle(node)}>${content || "&nbsp;"}</p>`;
+      case "text":
+        return (node.marks || []).reduce(applyMark, escapeHtml(node.text || ""));
+      case "hardBreak":
+        return "<br />";
+      case "heading": {
+        const level = attrs.level || 1;
+        return `<h${level}${blockStyle(node)}>${content}</h${level}>`;
+      }
+      case "bulletList":
+        return `<ul>${content}</ul>`;
+      case "orderedList": {
+        const start = attrs.order > 1 ? ` start="${attrs.order}"` : "";
+        return `<ol${start}>${content}</ol>`;
+      }
+      case "listItem":
+        return `<li>${content}</li>`;
+      case "codeBlock": {
+        const language = attrs.language
+          ? ` class="language-${escapeHtml(attrs.language)}"`
+          : "";
+        return `<pre><code${language}>${content}</code></pre>`;
+      }
+      case "blockquote":
+        return `<blockquote>${content}</blockquote>`;
+      case "rule":
+        return "<hr />";
+      case "panel": {
+        // Custom panels carry their own emoji
+        const label =
+          PANEL_LABELS[attrs.panelType] || attrs.panelIconText || "📌";
+        return `<blockquote><p><strong>${escapeHtml(label)}</strong></p>${content}</blockquote>`;
+      }
+      case "expand":
+      case "nestedExpand":
+        return `<details><summary>${escapeHtml(attrs.title || "Details")}</summary>${content}</details>`;
+      case "emoji":
+        return escapeHtml(attrs.text || attrs.shortName || "");
+      case "mention": {
+        const { userId, name } = resolveMention(attrs, context);
+        return userId ? renderMentionTag(userId, name) : escapeHtml(`@${name}`);
+      }
+      case "status": {
+        const [background, color] =
+          STATUS_COLORS[attrs.color] || STATUS_COLORS.neutral;
+        return `<mark style="background-color: ${background}; color: ${color}"><strong>${escapeHtml(
+          String(attrs.text || "").toUpperCase()
+        )}</strong></mark>`;
+      }
+      case "date": {
+        const date = formatDate(attrs.timestamp);
+        return `<time datetime="${escapeHtml(date)}">${escapeHtml(date)}</time>`;
+      }
+      case "inlineCard":
+        return renderCard(node);
+      case "blockCard":
+      case "embedCard":
+        return `<p>${renderCard(node)}</p>`;
+      case "taskList":
+        // Nested task lists are siblings of the task items
+        return `<ul>${children
+          .map((child) =>
+            child.type === "taskList"
+              ? `<li>${processNode(child)}</li>`
+              : processNode(child)
+          )
+          .join("")}</ul>`;
+      case "taskItem":
+        return `<li>${attrs.state === "DONE" ? "☑" : "☐"} ${content}</li>`;
+      case "decisionList":
+        return `<ul>${content}</ul>`;
+      case "decisionItem":
+        return `<li><strong>${
+          attrs.state === "DECIDED" ? "Decision" : "Open decision"
+        }:</strong> ${content}</li>`;
+      case "table":
+        return `<table><tbody>${content}</tbody></table>`;
+      case "tableRow":
+        return `<tr>${content}</tr>`;
+      case "tableHeader":
+        return renderTableCell(node, "th", content);
+      case "tableCell":
+        return renderTableCell(node, "td", content);
+      case "mediaSingle": {
+        const media = children
+          .filter((child) => child.type !== "caption")
+          .map(processNode)
+          .join("");
+        const caption = children
+          .filter((child) => child.type === "caption")
+          .map(processNode)
+          .join("");
+        return `<p>${media}</p>${caption}`;
+      }
+      case "mediaGroup":
+        return `<p>${children.map(processNode).join("<br />")}</p>`;
+      case "media":
+      case "mediaInline":
+        return renderMedia(node);
+      case "caption":
+        return `<p><em>${content}</em></p>`;
+      case "layoutSection":
+      case "layoutColumn":
+      case "bodiedExtension":
+      case "extensionFrame":
+      case "multiBodiedExtension":
+        return content;
+      case "extension":
+      case "inlineExtension":
+        return `<em>[Jira macro: ${escapeHtml(
+          attrs.extensionKey || node.type
+        )}]</em>`;
+      case "placeholder":
+        // Editor hint text, not part of the content
+        return "";
+      default:
+        reportUnsupportedAdfType(node.type);
+        return `<em>[Unsupported Jira content: ${escapeHtml(node.type)}]</em>${content}`;
+    }
+  }
+
+  return processNode(doc);
+}
+
+// Block level ADF nodes, separated by blank lines in Markdown
+const ADF_BLOCK_TYPES = new Set([
+  "paragraph",
+  "heading",
+  "bulletList",
+  "orderedList",
+  "taskList",
+  "decisionList",
+  "codeBlock",
+  "blockquote",
+  "rule",
+  "panel",
+  "expand",
+  "nestedExpand",
+  "table",
+  "mediaSingle",
+  "mediaGroup",
+  "blockCard",
+  "embedCard",
+  "layoutSection",
+  "layoutColumn",
+  "bodiedExtension",
+  "multiBodiedExtension",
+  "extensionFrame",
+  "extension",
+]);
+
+function escapeMarkdown(text) {
+  return String(text)
+    .replace(/([\\`*_[\]<>|~])/g, "\\$1")
+    .replace(/^(\s*)([-+#])(?=\s|$)/gm, "$1\\$2")
+    .replace(/^(\s*\d+)([.)])(?=\s|$)/gm, "$1\\$2");
+}
+
+// Prefix the first line of text with marker and indent the following lines
+function indentLines(text, marker, indent = " ".repeat(marker.length)) {
+  return text
+    .split("\n")
+    .map((line, index) => {
+      if (index === 0) return `${marker}${line}`;
+      return line ? `${indent}${line}` : line;
+    })
+    .join("\n");
+}
+
+// Link destinations must not contain spaces, brackets or parentheses
+function escapeMarkdownUrl(url) {
+  return String(url || "").replace(
+    /[()<> ]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+// Code spans and fences must be longer than any backtick run they contain
+function backtickFence(text, minLength) {
+  const longest = Math.max(
+    0,
+    ...(String(text).match(/`+/g) || []).map((run) => run.length)
+  );
+  return "`".repeat(Math.max(minLength, longest + 1));
+}
+
+function convertAtlassianDocumentToMarkdown(doc, context = {}) {
+  if (!doc) {
+    return "";
+  }
+  if (typeof doc === "string") {
+    // Jira Server / Data Center (REST API v2) returns wiki markup strings
+    return convertAtlassianDocumentToMarkdown(parseWikiMarkup(doc), context);
+  }
+
+  function applyMark(text, mark, node) {
+    const attrs = mark.attrs || {};
+    // Emphasis delimiters must not be next to whitespace
+    const wrap = (open, close = open) => {
+      const [, leading, inner, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+      return inner ? `${leading}${open}${inner}${close}${trailing}` : text;
+    };
+    switch (mark.type) {
+      case "strong":
+        return wrap("**");
+      case "em":
+        return wrap("_");
+      case "code": {
+        const fence = backtickFence(node.text, 1);
+        const padding = /^`|`$/.test(node.text) ? " " : "";
+        return `${fence}${padding}${node.text}${padding}${fence}`;
+      }
+      case "strike":
+        return wrap("~~");
+      case "underline":
+        return wrap("<u>", "</u>");
+      case "subsup":
+        return attrs.type === "sub"
+          ? wrap("<sub>", "</sub>")
+          : wrap("<sup>", "</sup>");
+      case "textColor":
+        return wrap(`<span style="color: ${escapeHtml(attrs.color)}">`, "</span>");
+      case "backgroundColor":
+        return wrap(
+          `<mark style="background-color: ${escapeHtml(attrs.color)}">`,
+          "</mark>"
+        );
+      case "link": {
+        if (!isSafeUrl(attrs.href)) return text;
+        const href = escapeMarkdownUrl(attrs.href);
+        const title = attrs.title
+          ? ` "${String(attrs.title).replace(/"/g, '\\"')}"`
+          : "";
+        return `[${text}](${href}${title})`;
+      }
+      case "annotation":
+      case "fragment":
+      case "dataConsumer":
+        // Inline comments and editor metadata have no visible output
+        return text;
+      default:
+        reportUnsupportedAdfType(`mark:${mark.type}`);
+        return text;
+    }
+  }
+
+  function renderText(node) {
+    const marks = node.marks || [];
+    // Text inside code marks is literal, the code mark has to come first
+    const ordered = [
+      ...marks.filter((mark) => mark.type === "code"),
+      ...marks.filter((mark) => mark.type !== "code"),
+    ];
+    const text = marks.some((mark) => mark.type === "code")
+      ? ""
+      : escapeMarkdown(node.text || "");
+    return ordered.reduce((result, mark) => applyMark(result, mark, node), text);
+  }
+
+  function renderChildren(nodes, context) {
+    const isBlock = nodes.some((child) => ADF_BLOCK_TYPES.has(child.type));
+    const rendered = nodes.map((child) => processNode(child, context));
+    if (!isBlock) {
+      return rendered.join("");
+    }
+    return rendered.filter((block) => block !== "").join("\n\n");
+  }
+
+  // List items are tight: nested lists follow the paragraph directly
+  function renderListItem(nodes, context) {
+    let result = "";
+    nodes.forEach((child, index) => {
+      const block = processNode(child, context);
+      if (index > 0) {
+        const isList = ["bulletList", "orderedList", "taskList"].includes(
+          child.type
+        );
+        result += isList ? "\n" : "\n\n";
+      }
+      result += block;
+    });
+    return result;
+  }
+
+  function renderMedia(node, context) {
+    const attrs = node.attrs || {};
+    if (attrs.type === "external" && attrs.url && isSafeUrl(attrs.url)) {
+      return `![${escapeMarkdown(attrs.alt || "")}](${escapeMarkdownUrl(attrs.url)})`;
+    }
+    const attachment = resolveMediaAttachment(attrs, context);
+    if (attachment) {
+      return attachmentPlaceholder(attachment);
+    }
+    const name = attrs.alt || attrs.__fileName;
+    return `_\\[Jira attachment${name ? ` ${escapeMarkdown(name)}` : ""} not available\\]_`;
+  }
+
+  function renderCard(node) {
+    const attrs = node.attrs || {};
+    const url = attrs.url || attrs.data?.url;
+    const title = attrs.data?.name;
+    if (!url || !isSafeUrl(url)) {
+      return escapeMarkdown(title || url || "");
+    }
+    return title
+      ? `[${escapeMarkdown(title)}](${escapeMarkdownUrl(url)})`
+      : `<${escapeMarkdownUrl(url)}>`;
+  }
+
+  // GFM tables have a single header row and no merged or multi-block cells,
+  // other tables are kept as HTML
+  function renderTable(node, context) {
+    const rows = node.content || [];
+    const isSimple = rows.every((row) =>
+      (row.content || []).every((cell) => {
+        const attrs = cell.attrs || {};
+        const blocks = cell.content || [];
+        return (
+          !(attrs.colspan > 1) &&
+          !(attrs.rowspan > 1) &&
+          blocks.every((block) =>
+            ["paragraph", "mediaSingle"].includes(block.type)
+          )
+        );
+      })
+    );
+    if (!isSimple || rows.length === 0) {
+      return convertAtlassianDocumentToHtml(node, context);
+    }
+
+    const cellContext = { ...context, inTable: true };
+    const renderedRows = rows.map((row) =>
+      (row.content || []).map((cell) =>
+        (cell.content || [])
+          .map((block) => renderChildren(block.content || [], cellContext))
+          .join("<br>")
+      )
+    );
+    const columns = Math.max(...renderedRows.map((cells) => cells.length));
+    const toLine = (cells) =>
+      `| ${Array.from({ length: columns }, (_, i) => cells[i] || "").join(
+        " | "
+      )} |`;
+
+    return [
+      toLine(renderedRows[0]),
+      toLine(Array(columns).fill("---")),
+      ...renderedRows.slice(1).map(toLine),
+    ].join("\n");
+  }
+
+  function processNode(node, context = {}) {
+    if (!node || !node.type) return "";
+
+    const attrs = node.attrs || {};
+    const children = node.content || [];
+
+    switch (node.type) {
+      case "doc":
+        return renderChildren(children, context);
+      case "paragraph":
+        return renderChildren(children, context);
+      case "text":
+        return renderText(node);
+      case "hardBreak":
+        return context.inTable ? "<br>" : "\\\n";
+      case "heading":
+        return `${"#".repeat(attrs.level || 1)} ${renderChildren(
+          children,
+          context
+        )}`;
+      case "bulletList":
+        return children
+          .map((item) => indentLines(renderListItem(item.content || [], context), "- "))
+          .join("\n");
+      case "orderedList": {
+        const start = attrs.order || 1;
+        return children
+          .map((item, index) =>
+            indentLines(
+              renderListItem(item.content || [], context),
+              `${start + index}. `
+            )
+          )
+          .join("\n");
+      }
+      case "listItem":
+        return indentLines(renderListItem(children, context), "- ");
+      case "codeBlock": {
+        const code = children.map((child) => child.text || "").join("");
+        const fence = backtickFence(code, 3);
+        return `${fence}${attrs.language || ""}\n${code}\n${fence}`;
+      }
+      case "blockquote":
+        return indentLines(renderChildren(children, context), "> ", "> ")
+          .split("\n")
+          .map((line) => line || ">")
+          .join("\n");
+      case "rule":
+        return "---";
+      case "panel": {
+        const label =
+          PANEL_LABELS[attrs.panelType] || attrs.panelIconText || "📌";
+        return `> **${label}**\n>\n${indentLines(
+          renderChildren(children, context),
+          "> ",
+          "> "
+        )
+          .split("\n")
+          .map((line) => line || ">")
+          .join("\n")}`;
+      }
+      case "expand":
+      case "nestedExpand":
+        return `<details><summary>${escapeHtml(
+          attrs.title || "Details"
+        )}</summary>\n\n${renderChildren(children, context)}\n\n</details>`;
+      case "emoji":
+        return attrs.text || attrs.shortName || "";
+      case "mention": {
+        const { userId, name } = resolveMention(attrs, context);
+        return userId
+          ? renderMentionTag(userId, name)
+          : escapeMarkdown(`@${name}`);
+      }
+      case "status": {
+        const [background, color] =
+          STATUS_COLORS[attrs.color] || STATUS_COLORS.neutral;
+        return `<mark style="background-color: ${background}; color: ${color}"><strong>${escapeHtml(
+          String(attrs.text || "").toUpperCase()
+        )}</strong></mark>`;
+      }
+      case "date": {
+        const date = new Date(Number(attrs.timestamp));
+        return isNaN(date.getTime())
+          ? escapeMarkdown(attrs.timestamp)
+          : date.toISOString().slice(0, 10);
+      }
+      case "inlineCard":
+      case "blockCard":
+      case "embedCard":
+        return renderCard(node);
+      case "taskList":
+        // Nested task lists are siblings of the task items
+        return children
+          .map((child) =>
+            child.type === "taskList"
+              ? indentLines(processNode(child, context), "  ")
+              : processNode(child, context)
+          )
+          .join("\n");
+      case "taskItem":
+        return indentLines(
+          renderChildren(children, context),
+          `- [${attrs.state === "DONE" ? "x" : " "}] `,
+          "  "
+        );
+      case "decisionList":
+        return children.map((child) => processNode(child, context)).join("\n");
+      case "decisionItem":
+        return indentLines(
+          `**${attrs.state === "DECIDED" ? "Decision" : "Open decision"}:** ${renderChildren(
+            children,
+            context
+          )}`,
+          "- "
+        );
+      case "table":
+        return renderTable(node, context);
+      case "mediaSingle": {
+        const media = children
+          .filter((child) => child.type !== "caption")
+          .map((child) => processNode(child, context))
+          .join("");
+        const caption = children
+          .filter((child) => child.type === "caption")
+          .map((child) => processNode(child, context))
+          .join("");
+        return caption ? `${media}\n\n${caption}` : media;
+      }
+      case "mediaGroup":
+        return children
+          .map((child) => processNode(child, context))
+          .join(context.inTable ? "<br>" : "\\\n");
+      case "media":
+      case "mediaInline":
+        return renderMedia(node, context);
+      case "caption":
+        return `_${renderChildren(children, context)}_`;
+      case "layoutSection":
+      case "layoutColumn":
+      case "bodiedExtension":
+      case "extensionFrame":
+      case "multiBodiedExtension":
+        return renderChildren(children, context);
+      case "extension":
+      case "inlineExtension":
+        return `_\\[Jira macro: ${escapeMarkdown(
+          attrs.extensionKey || node.type
+        )}\\]_`;
+      case "placeholder":
+        // Editor hint text, not part of the content
+        return "";
+      default: {
+        reportUnsupportedAdfType(node.type);
+        const marker = `_\\[Unsupported Jira content: ${escapeMarkdown(
+          node.type
+        )}\\]_`;
+        const content = renderChildren(children, context);
+        return ADF_BLOCK_TYPES.has(children[0]?.type)
+          ? `${marker}\n\n${content}`
+          : `${marker}${content}`;
+      }
+    }
+  }
+
+  return processNode(doc, context).trim();
+}
+
+/**
+ * Convert a Jira description or comment body to markdown or html.
+ * context: see the top of this file
+ */
+function convertRichText(doc, format, context = {}) {
+  return format === "html"
+    ? convertAtlassianDocumentToHtml(doc, context)
+    : convertAtlassianDocumentToMarkdown(doc, context);
+}
+
+module.exports = {
+  convertAtlassianDocumentToText,
+  convertAtlassianDocumentToHtml,
+  convertAtlassianDocumentToMarkdown,
+  convertRichText,
+  escapeHtml,
+  escapeMarkdown,
+  escapeMarkdownUrl,
+  getUnsupportedAdfTypes,
+};
@@ -0,0 +1,162 @@
+require("dotenv").config();
+const {
+  getProjectCategories,
+  getCustomFieldOptions,
+} = require("./openproject-client");
+
+/**
+ * Maps Jira components to OpenProject categories and Jira labels to a
+ * multi-select list custom field.
+ *
+ * The OpenProject API v3 can't create categories, so components without a
+ * category of the same name are reported before the migration starts. They
+ * can be added under Project settings > Work packages > Categories. The same
+ * applies to label values that are missing from the custom field options.
+ */
+
+// ID of the OpenProject list custom field (multi-select) that receives labels
+const JIRA_LABELS_CUSTOM_FIELD = process.env.JIRA_LABELS_CUSTOM_FIELD || null;
+
+function normalize(name) {
+  return String(name).trim().toLowerCase();
+}
+
+function collectValues(jiraIssues, getValues) {
+  const values = new Set();
+  for (const issue of jiraIssues) {
+    for (const value of getValues(issue)) values.add(value);
+  }
+  return Array.from(values).sort();
+}
+
+function getComponentNames(issue) {
+  return (issue.fields.components || []).map((component) => component.name);
+}
+
+function getLabels(issue) {
+  return issue.fields.labels || [];
+}
+
+/**
+ * Looks up the categories and label options of the target project and
+ * reports what is missing. typeIds are the OpenProject types the issues are
+ * migrated to, since custom field options are read from their schemas.
+ */
+async function prepareComponentsAndLabels(jiraIssues, openProjectId, typeIds) {
+  const context = {
+    categories: new Map(),
+    labelOptions: new Map(),
+    missingCategories: [],
+    missingLabels: [],
+  };
+
+  const components = collectValues(jiraIssues, getComponentNames);
+  if (components.length > 0) {
+    const categories = await getProjectCategories(openProjectId);
+    for (const category of categories) {
+      context.categories.set(normalize(category.name), category.id);
+    }
+    context.missingCategories = components.filter(
+      (name) => !context.categories.has(normalize(name))
+    );
+  }
+
+  const labels = collectValues(jiraIssues, getLabels);
+  if (JIRA_LABELS_CUSTOM_FIELD && labels.length > 0) {
+    const knownLabels = new Set();
+    for (const typeId of typeIds) {
+      const options = await getCustomFieldOptions(
+        openProjectId,
+        typeId,
+        JIRA_LABELS_CUSTOM_FIELD
+      );
+      if (!options) {
+        console.warn(
+          `Custom field ${JIRA_LABELS_CUSTOM_FIELD} is not enabled for type ${typeId} in project ${openProjectId}`
+        );
+        context.labelOptions.set(typeId, null);
+        continue;
+      }
+
+      const optionIds = new Map();
+      for (const option of options) {
+        optionIds.set(normalize(option.value), option.id);
+        knownLabels.add(normalize(option.value));
+      }
+      context.labelOptions.set(typeId, optionIds);
+    }
+    context.missingLabels = labels.filter(
+      (label) => !knownLabels.has(normalize(label))
+    );
+  } else if (labels.length > 0) {
+    console.log(
+      `Found ${labels.length} distinct labels, set JIRA_LABELS_CUSTOM_FIELD to migrate them`
+    );
+  }
+
+  if (context.missingCategories.length > 0) {
+    console.warn(
+      `\nThese Jira components have no category in OpenProject project ${openProjectId}:`
+    );
+    context.missingCategories.forEach((name) => console.warn(`- ${name}`));
+    console.warn(
+      "Add them under Project settings > Work packages > Categories to migrate them."
+    );
+  }
+
+  if (context.missingLabels.length > 0) {
+    console.warn(
+      `\nThese Jira labels are no option of custom field ${JIRA_LABELS_CUSTOM_FIELD}:`
+    );
+    context.missingLabels.forEach((label) => console.warn(`- ${label}`));
+    console.warn(
+      "Add them as options under Administration > Custom fields to migrate them."
+    );
+  }
+
+  return context;
+}
+
+// Set the category and label links on the work package payload
+function applyComponentsAndLabels(issue, payload, typeId, context) {
+  const components = getComponentNames(issue);
+  for (const name of components) {
+    if (!context.categories.has(normalize(name))) {
+      console.warn(`${issue.key}: component ${name} has no category`);
+    }
+  }
+  const mappedComponent = components.find((name) =>
+    context.categories.has(normalize(name))
+  );
+  if (mappedComponent) {
+    payload._links.category = {
+      href: `/api/v3/categories/${context.categories.get(
+        normalize(mappedComponent)
+      )}`,
+    };
+    if (components.length > 1) {
+      console.log(
+        `${issue.key} has ${components.length} components, using ${mappedComponent} as category`
+      );
+    }
+  }
+
+  const labelOptions = context.labelOptions.get(typeId);
+  const labels = getLabels(issue);
+  const matchedLabels = labelOptions
+    ? labels.filter((label) => labelOptions.has(normalize(label)))
+    : [];
+  // An empty list would clear the labels of an existing work package
+  if (matchedLabels.length > 0) {
+    payload._links[`customField${JIRA_LABELS_CUSTOM_FIELD}`] =
+      matchedLabels.map((label) => ({
+        href: `/api/v3/custom_options/${labelOptions.get(normalize(label))}`,
+      }));
+  }
+}
+
+module.exports = {
+  prepareComponentsAndLabels,
+  applyComponentsAndLabels,
+  JIRA_LABELS_CUSTOM_FIELD,
+};
@@ -1,18 +1,6 @@
 require("dotenv").config();
-const axios = require("axios");
-
-// OpenProject API configuration
-const openProjectConfig = {
-  baseURL: `${process.env.OPENPROJECT_HOST}/api/v3`,
-  headers: {
-    Authorization: `Basic ${Buffer.from(
-      `apikey:${process.env.OPENPROJECT_API_KEY}`
-    ).toString("base64")}`,
-    "Content-Type": "application/json",
-  },
-};
-
-const openProjectApi = axios.create(openProjectConfig);
+const { openProjectApi } = require("./openproject-client");
+const { loadJiraFieldCatalogue, requireJiraField } = require("./jira-fields");
 
 async function findWorkPackageByIssueKey(issueKey) {
   try {
@@ -258,15 +246,15 @@ async function createRelationship(fromId, toId, type) {
   }
 }
 
-async function handleRelationships(issue) {
-  if (!issue.fields.issuelinks && !issue.fields.customfield_10014) return;
+async function handleRelationships(issue, epicLinkField) {
+  const epicKey = epicLinkField ? issue.fields[epicLinkField] : null;
+  if (!issue.fields.issuelinks && !epicKey) return;
 
   const fromWorkPackageId = issueToWorkPackageMap.get(issue.key);
   if (!fromWorkPackageId) return;
 
   // Handle epic link first
-  if (issue.fields.customfield_10014) {
-    const epicKey = issue.fields.customfield_10014;
+  if (epicKey) {
     const epicWorkPackageId = issueToWorkPackageMap.get(epicKey);
     if (epicWorkPackageId) {
       await createRelationship(fromWorkPackageId, epicWorkPackageId, "partof");
@@ -429,6 +417,12 @@ async function createRelationships(issues, issueKeyToWorkPackageIdMap) {
   try {
     console.log("\n=== Creating Relationships ===");
 
+    await loadJiraFieldCatalogue();
+    const epicLinkField = requireJiraField(
+      "epicLink",
+      "epic links will not be migrated as relationships"
+    );
+
     // Update the mapping with provided data
     for (const [key, id] of Object.entries(issueKeyToWorkPackageIdMap)) {
       issueToWorkPackageMap.set(key, id);
@@ -436,7 +430,7 @@ async function createRelationships(issues, issueKeyToWorkPackageIdMap) {
 
     // First pass: Create all relationships
     for (const issue of issues) {
-      await handleRelationships(issue);
+      await handleRelationships(issue, epicLinkField);
     }
 
     // Final pass: Retry any missing relationships
@@ -448,4 +442,4 @@ async function createRelationships(issues, issueKeyToWorkPackageIdMap) {
   }
 }
 
-module.exports = { createRelationships };
+module.exports = { createRelationships, createRelationship };
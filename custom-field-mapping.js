@@ -0,0 +1,238 @@
+require("dotenv").config();
+const { loadJiraFieldCatalogue, findJiraField } = require("./jira-fields");
+const { getJiraUserId } = require("./jira-flavor");
+const {
+  getCustomFieldOptions,
+  getWorkPackageSchema,
+} = require("./openproject-client");
+const { convertAtlassianDocumentToText } = require("./adf-converter");
+
+/**
+ * Maps arbitrary Jira fields to OpenProject custom fields or native
+ * attributes, as declared in field-mapping.js (see field-mapping.example.js).
+ *
+ * Values are converted according to the declared type. Select and user
+ * values that have no counterpart in OpenProject are collected in a report
+ * instead of failing the work package.
+ */
+
+const FIELD_TYPES = [
+  "text",
+  "number",
+  "date",
+  "select",
+  "multiselect",
+  "user",
+  "url",
+];
+
+// Types whose values are OpenProject resources and therefore go into _links
+const LINK_TYPES = ["select", "multiselect", "user"];
+
+function loadFieldMappings() {
+  try {
+    return require("./field-mapping");
+  } catch (error) {
+    if (error.code === "MODULE_NOT_FOUND") return [];
+    throw error;
+  }
+}
+
+/**
+ * Resolves the Jira field of every mapping to its ID, since the search API
+ * only accepts field IDs. Invalid mappings are reported and dropped.
+ */
+async function resolveFieldMappings(mappings = loadFieldMappings()) {
+  if (mappings.length === 0) return [];
+
+  await loadJiraFieldCatalogue();
+  const resolved = [];
+
+  for (const mapping of mappings) {
+    const label = `${mapping.jira} -> ${mapping.openProject}`;
+    if (!FIELD_TYPES.includes(mapping.type)) {
+      console.warn(
+        `Skipping field mapping ${label}: unknown type "${mapping.type}" (use ${FIELD_TYPES.join(", ")})`
+      );
+      continue;
+    }
+
+    const field = findJiraField(mapping.jira);
+    if (!field) {
+      console.warn(`Skipping field mapping ${label}: Jira field not found`);
+      continue;
+    }
+
+    resolved.push({ ...mapping, jiraFieldId: field.id, label });
+  }
+
+  console.log(`Loaded ${resolved.length} custom field mappings`);
+  return resolved;
+}
+
+function toArray(value) {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Display value of a Jira option, version, component or plain value
+function getOptionValue(value) {
+  if (value && typeof value === "object") {
+    const text = value.value ?? value.name ?? value.displayName;
+    return value.child ? `${text} - ${getOptionValue(value.child)}` : text;
+  }
+  return value;
+}
+
+function toText(value) {
+  if (value && typeof value === "object" && value.type === "doc") {
+    return convertAtlassianDocumentToText(value);
+  }
+  return toArray(value).map(getOptionValue).join(", ");
+}
+
+/**
+ * Converts a Jira field value to the OpenProject value of the mapping.
+ * Returns { value } or { unmapped: [...] } for values without counterpart.
+ */
+async function convertValue(mapping, jiraValue, context) {
+  switch (mapping.type) {
+    case "text": {
+      // Long text custom fields are formattable and expect { raw }. Without
+      // the schema the field type is unknown, so the value is only reported.
+      const text = toText(jiraValue);
+      let schema;
+      try {
+        schema = await getWorkPackageSchema(
+          context.openProjectId,
+          context.typeId
+        );
+      } catch (error) {
+        return { unmapped: [text] };
+      }
+      return schema[mapping.openProject]?.type === "Formattable"
+        ? { value: { format: "markdown", raw: text } }
+        : { value: text };
+    }
+    case "url":
+      return { value: toText(jiraValue) };
+    case "number": {
+      const number = Number(getOptionValue(jiraValue));
+      return isNaN(number) ? { unmapped: [jiraValue] } : { value: number };
+    }
+    case "date": {
+      // Date fields hold "2024-01-31", date time fields a full timestamp
+      const date = String(jiraValue).match(/^\d{4}-\d{2}-\d{2}(?=$|T)/)?.[0];
+      return date && !isNaN(Date.parse(date))
+        ? { value: date }
+        : { unmapped: [jiraValue] };
+    }
+    case "select":
+    case "multiselect": {
+      let options;
+      try {
+        options =
+          (await getCustomFieldOptions(
+            context.openProjectId,
+            context.typeId,
+            mapping.openProject.replace("customField", "")
+          )) || [];
+      } catch (error) {
+        return { unmapped: toArray(jiraValue).map(getOptionValue) };
+      }
+      const links = [];
+      const unmapped = [];
+      for (const item of toArray(jiraValue)) {
+        const text = getOptionValue(item);
+        const option = options.find(
+          (o) => String(o.value).toLowerCase() === String(text).toLowerCase()
+        );
+        if (option) {
+          links.push({ href: `/api/v3/custom_options/${option.id}` });
+        } else {
+          unmapped.push(text);
+        }
+      }
+      return {
+        value: mapping.type === "select" ? links[0] : links,
+        unmapped,
+      };
+    }
+    case "user": {
+      const links = [];
+      const unmapped = [];
+      for (const jiraUser of toArray(jiraValue)) {
+        const userId = context.userMapping[getJiraUserId(jiraUser)];
+        if (userId) {
+          links.push({ href: `/api/v3/users/${userId}` });
+        } else {
+          unmapped.push(jiraUser.displayName || getJiraUserId(jiraUser));
+        }
+      }
+      return {
+        value: Array.isArray(jiraValue) ? links : links[0],
+        unmapped,
+      };
+    }
+    default:
+      return { unmapped: [jiraValue] };
+  }
+}
+
+/**
+ * Adds the mapped fields of an issue to the work package payload.
+ * context: { openProjectId, typeId, userMapping }
+ * report: Map(mapping label -> Set of unmapped values), filled in place
+ */
+async function applyFieldMappings(issue, payload, mappings, context, report) {
+  for (const mapping of mappings) {
+    const jiraValue = issue.fields[mapping.jiraFieldId];
+    if (
+      jiraValue === null ||
+      jiraValue === undefined ||
+      (Array.isArray(jiraValue) && jiraValue.length === 0)
+    ) {
+      continue;
+    }
+
+    const { value, unmapped = [] } = await convertValue(
+      mapping,
+      jiraValue,
+      context
+    );
+
+    if (unmapped.length > 0) {
+      if (!report.has(mapping.label)) report.set(mapping.label, new Set());
+      unmapped.forEach((v) => report.get(mapping.label).add(String(v)));
+      console.warn(
+        `${issue.key}: no OpenProject value for ${mapping.label}: ${unmapped.join(", ")}`
+      );
+    }
+
+    if (value === undefined || (Array.isArray(value) && value.length === 0)) {
+      continue;
+    }
+
+    if (LINK_TYPES.includes(mapping.type)) {
+      payload._links[mapping.openProject] = value;
+    } else {
+      payload[mapping.openProject] = value;
+    }
+  }
+}
+
+function printFieldMappingReport(report) {
+  if (report.size === 0) return;
+
+  console.log("\nUnmapped custom field values:");
+  for (const [label, values] of report.entries()) {
+    console.log(`- ${label}: ${Array.from(values).join(", ")}`);
+  }
+}
+
+module.exports = {
+  loadFieldMappings,
+  resolveFieldMappings,
+  applyFieldMappings,
+  printFieldMappingReport,
+};
@@ -1,24 +1,12 @@
 require("dotenv").config();
-const axios = require("axios");
 const {
+  openProjectApi,
+  getCollection,
   getOpenProjectWorkPackages,
   setParentWorkPackage,
   listProjects,
 } = require("./openproject-client");
 
-// OpenProject API configuration
-const openProjectConfig = {
-  baseURL: `${process.env.OPENPROJECT_HOST}/api/v3`,
-  headers: {
-    Authorization: `Basic ${Buffer.from(
-      `apikey:${process.env.OPENPROJECT_API_KEY}`
-    ).toString("base64")}`,
-    "Content-Type": "application/json",
-  },
-};
-
-const openProjectApi = axios.create(openProjectConfig);
-
 async function deleteRelationship(relationId) {
   try {
     await openProjectApi.delete(`/relations/${relationId}`);
@@ -75,10 +63,9 @@ async function deleteAllRelationships(projectId) {
 
       // Get and delete all relationships
       try {
-        const relationsResponse = await openProjectApi.get(
+        const relations = await getCollection(
           `/work_packages/${wp.id}/relations`
         );
-        const relations = relationsResponse.data._embedded?.elements || [];
 
         for (const relation of relations) {
           await deleteRelationship(relation.id);
@@ -0,0 +1,17 @@
+// Example field mapping - copy to field-mapping.js and replace with your own fields
+//
+// jira:        Jira field ID (customfield_10016) or field name (Story Points)
+// openProject: OpenProject custom field (customField3) or native attribute (storyPoints)
+// type:        text, number, date, select, multiselect, user or url
+const fieldMapping = [
+  { jira: "Story Points", openProject: "storyPoints", type: "number" },
+  { jira: "Team", openProject: "customField3", type: "select" },
+  { jira: "Customer", openProject: "customField4", type: "text" },
+  { jira: "Severity", openProject: "customField5", type: "select" },
+  { jira: "Affected systems", openProject: "customField6", type: "multiselect" },
+  { jira: "Reviewer", openProject: "customField7", type: "user" },
+  { jira: "Support ticket", openProject: "customField8", type: "url" },
+  { jira: "customfield_10042", openProject: "customField9", type: "date" },
+];
+
+module.exports = fieldMapping;
@@ -1,46 +1,28 @@
 require("dotenv").config();
 const fs = require("fs");
 const path = require("path");
-const axios = require("axios");
 const inquirer = require("inquirer");
+const {
+  getJiraUsers: fetchJiraUsers,
+  getJiraUserEmail,
+} = require("./jira-client");
+const { isJiraCloud } = require("./jira-flavor");
+const { getCollection } = require("./openproject-client");
 
-// Jira API configuration
-const jiraConfig = {
-  baseURL: `https://${process.env.JIRA_HOST}/rest/api/3`,
-  auth: {
-    username: process.env.JIRA_EMAIL,
-    password: process.env.JIRA_API_TOKEN,
-  },
-};
-
-// OpenProject API configuration
-const openProjectConfig = {
-  baseURL: `${process.env.OPENPROJECT_HOST}/api/v3`,
-  headers: {
-    Authorization: `Basic ${Buffer.from(
-      `apikey:${process.env.OPENPROJECT_API_KEY}`
-    ).toString("base64")}`,
-    "Content-Type": "application/json",
-  },
-};
-
-const jiraApi = axios.create(jiraConfig);
-const openProjectApi = axios.create(openProjectConfig);
+/**
+ * Maps Jira users to OpenProject users. Users are matched automatically by
+ * email and then by normalized display name, only unresolved and ambiguous
+ * users are asked for. Inactive Jira users are mapped too, so their
+ * comments and assignments are attributed. Every match and the rule that
+ * produced it is written to user-mapping-report.csv for review.
+ */
+
+const REPORT_PATH = path.join(__dirname, "user-mapping-report.csv");
 
 async function getJiraUsers() {
   try {
     console.log("\nFetching Jira users...");
-    const response = await jiraApi.get("/users/search", {
-      params: {
-        maxResults: 1000,
-      },
-    });
-    return response.data.map((user) => ({
-      accountId: user.accountId,
-      displayName: user.displayName,
-      emailAddress: user.emailAddress,
-      active: user.active,
-    }));
+    return await fetchJiraUsers();
   } catch (error) {
     console.error("Error fetching Jira users:", error.message);
     throw error;
@@ -50,10 +32,11 @@ async function getJiraUsers() {
 async function getOpenProjectUsers() {
   try {
     console.log("\nFetching OpenProject users...");
-    const response = await openProjectApi.get("/users");
-    return response.data._embedded.elements.map((user) => ({
+    const users = await getCollection("/users");
+    return users.map((user) => ({
       id: user.id,
       name: user.name,
+      login: user.login,
       email: user.email,
       status: user.status,
     }));
@@ -63,51 +46,209 @@ async function getOpenProjectUsers() {
   }
 }
 
+function loadExistingMapping() {
+  try {
+    return require("./user-mapping");
+  } catch (error) {
+    return {};
+  }
+}
+
+// Lowercase, without accents, punctuation and extra whitespace. "Doe, Jane"
+// becomes "jane doe".
+function normalizeName(name) {
+  const normalized = String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+  const [last, first] = normalized.split(",");
+  const ordered = first !== undefined ? `${first} ${last}` : normalized;
+  return ordered
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function describeOpenProjectUser(user) {
+  return `${user.name} (${user.email || "No email"})${
+    user.status && user.status !== "active" ? ` [${user.status}]` : ""
+  }`;
+}
+
+/**
+ * Match a Jira user to OpenProject users. Returns
+ * { rule, openProjectUser } for a match, or { rule: "ambiguous" |
+ * "unresolved", candidates } when the user has to be chosen.
+ */
+function matchUser(jiraUser, openProjectUsers, existingMapping) {
+  const existingId = existingMapping[jiraUser.id];
+  const existing = openProjectUsers.find((u) => u.id === existingId);
+  if (existing) {
+    return { rule: "existing mapping", openProjectUser: existing };
+  }
+
+  const email = normalizeEmail(jiraUser.emailAddress);
+  if (email) {
+    const byEmail = openProjectUsers.filter(
+      (u) => normalizeEmail(u.email) === email
+    );
+    if (byEmail.length === 1) {
+      return { rule: "email", openProjectUser: byEmail[0] };
+    }
+    if (byEmail.length > 1) {
+      return { rule: "ambiguous", candidates: byEmail };
+    }
+  }
+
+  const name = normalizeName(jiraUser.displayName);
+  const byName = name
+    ? openProjectUsers.filter((u) => normalizeName(u.name) === name)
+    : [];
+  if (byName.length === 1) {
+    return { rule: "name", openProjectUser: byName[0] };
+  }
+  if (byName.length > 1) {
+    return { rule: "ambiguous", candidates: byName };
+  }
+  return { rule: "unresolved", candidates: [] };
+}
+
+async function chooseOpenProjectUser(jiraUser, match, openProjectUsers) {
+  const candidateIds = new Set(match.candidates.map((u) => u.id));
+  const others = openProjectUsers.filter((u) => !candidateIds.has(u.id));
+  const toChoice = (user) => ({
+    name: describeOpenProjectUser(user),
+    value: user.id,
+  });
+
+  const { openProjectId } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "openProjectId",
+      message: `Select OpenProject user for Jira user: ${
+        jiraUser.displayName
+      } (${jiraUser.emailAddress || "No email"})${
+        jiraUser.active ? "" : " [inactive]"
+      }`,
+      choices: [
+        ...match.candidates.map(toChoice),
+        ...(match.candidates.length > 0 ? [new inquirer.Separator()] : []),
+        { name: "Skip this user", value: null },
+        ...others.map(toChoice),
+      ],
+    },
+  ]);
+  return openProjectUsers.find((u) => u.id === openProjectId) || null;
+}
+
+function csvValue(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function writeReport(entries) {
+  const header = [
+    `Jira ${isJiraCloud ? "accountId" : "username"}`,
+    "Jira name",
+    "Jira email",
+    "Jira active",
+    "OpenProject ID",
+    "OpenProject name",
+    "OpenProject email",
+    "Rule",
+  ];
+  const rows = entries.map(({ jiraUser, openProjectUser, rule }) => [
+    jiraUser.id,
+    jiraUser.displayName,
+    jiraUser.emailAddress,
+    jiraUser.active ? "yes" : "no",
+    openProjectUser?.id,
+    openProjectUser?.name,
+    openProjectUser?.email,
+    rule,
+  ]);
+  const content = [header, ...rows]
+    .map((row) => row.map(csvValue).join(","))
+    .join("\n");
+  fs.writeFileSync(REPORT_PATH, `${content}\n`);
+}
+
 async function generateMapping() {
   try {
     // Fetch users from both systems
     const jiraUsers = await getJiraUsers();
     const openProjectUsers = await getOpenProjectUsers();
+    const existingMapping = loadExistingMapping();
+    console.log(
+      `\nFound ${jiraUsers.length} Jira users and ${openProjectUsers.length} OpenProject users`
+    );
 
-    console.log("\nJira Users:");
-    jiraUsers.forEach((user) => {
-      console.log(`- ${user.displayName} (${user.emailAddress || "No email"})`);
-    });
-
-    console.log("\nOpenProject Users:");
-    openProjectUsers.forEach((user) => {
-      console.log(`- ${user.name} (${user.email || "No email"})`);
-    });
-
-    // Create mapping through interactive prompts
-    const mapping = {};
+    // Match automatically, fetching hidden Jira emails first
+    const entries = [];
     for (const jiraUser of jiraUsers) {
-      if (!jiraUser.active) continue;
+      if (jiraUser.accountType === "app") {
+        entries.push({ jiraUser, rule: "skipped (app user)" });
+        continue;
+      }
+      // Cloud hides emails depending on the user's privacy settings
+      if (!jiraUser.emailAddress && isJiraCloud) {
+        jiraUser.emailAddress = await getJiraUserEmail(jiraUser.id);
+      }
+      const match = matchUser(jiraUser, openProjectUsers, existingMapping);
+      entries.push({ jiraUser, ...match });
+    }
+
+    const open = entries.filter((entry) =>
+      ["ambiguous", "unresolved"].includes(entry.rule)
+    );
+    console.log("\nAutomatic matches:");
+    for (const rule of ["existing mapping", "email", "name"]) {
+      const count = entries.filter((entry) => entry.rule === rule).length;
+      console.log(`- ${rule}: ${count}`);
+    }
+    console.log(`- ambiguous or unresolved: ${open.length}`);
 
-      const answer = await inquirer.prompt([
+    // Let the user choose for the rest
+    if (open.length > 0) {
+      const { review } = await inquirer.prompt([
         {
-          type: "list",
-          name: "openProjectId",
-          message: `Select OpenProject user for Jira user: ${
-            jiraUser.displayName
-          } (${jiraUser.emailAddress || "No email"})`,
-          choices: [
-            ...openProjectUsers.map((user) => ({
-              name: `${user.name} (${user.email || "No email"})`,
-              value: user.id,
-            })),
-            { name: "Skip this user", value: null },
-          ],
+          type: "confirm",
+          name: "review",
+          message: `Choose OpenProject users for the ${open.length} ambiguous or unresolved Jira users now? Otherwise they stay unmapped.`,
+          default: true,
         },
       ]);
 
-      if (answer.openProjectId !== null) {
-        mapping[jiraUser.accountId] = answer.openProjectId;
+      for (const entry of open) {
+        const candidates = entry.candidates;
+        const wasAmbiguous = entry.rule === "ambiguous";
+        entry.openProjectUser = review
+          ? await chooseOpenProjectUser(
+              entry.jiraUser,
+              entry,
+              openProjectUsers
+            )
+          : null;
+        entry.rule = entry.openProjectUser
+          ? `manual${wasAmbiguous ? ` (${candidates.length} candidates)` : ""}`
+          : `unmapped (${wasAmbiguous ? "ambiguous" : "no match"})`;
+      }
+    }
+
+    const mapping = {};
+    for (const { jiraUser, openProjectUser } of entries) {
+      if (openProjectUser) {
+        mapping[jiraUser.id] = openProjectUser.id;
       }
     }
 
     // Save mapping to file
     const mappingContent = `// Generated user mapping - ${new Date().toISOString()}
+// Keyed by Jira ${isJiraCloud ? "accountId" : "username"}
 const userMapping = ${JSON.stringify(mapping, null, 2)};
 
 module.exports = userMapping;
@@ -116,6 +257,9 @@ module.exports = userMapping;
     fs.writeFileSync(path.join(__dirname, "user-mapping.js"), mappingContent);
     console.log("\nUser mapping has been saved to user-mapping.js");
 
+    writeReport(entries);
+    console.log(`Review the matches in ${path.basename(REPORT_PATH)}`);
+
     return mapping;
   } catch (error) {
     console.error("Error generating mapping:", error.message);
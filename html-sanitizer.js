@@ -0,0 +1,282 @@
+/**
+ * Sanitization of converted descriptions and comments before they are sent
+ * to OpenProject.
+ *
+ * Only the tags and attributes the converters produce are kept. Links and
+ * images must use an allowed URL scheme and styles are limited to colors,
+ * alignment and indentation. Everything that is removed is returned, so it
+ * can be logged for the issue it came from.
+ */
+
+const ALLOWED_URL_SCHEMES = ["http:", "https:", "mailto:", "ftp:"];
+
+// Tags and their allowed attributes
+const ALLOWED_TAGS = {
+  p: ["style"],
+  br: [],
+  hr: [],
+  strong: [],
+  b: [],
+  em: [],
+  i: [],
+  u: [],
+  s: [],
+  del: [],
+  sub: [],
+  sup: [],
+  code: ["class"],
+  pre: [],
+  span: ["style"],
+  mark: ["style"],
+  a: ["href", "title"],
+  img: ["src", "alt", "class", "width", "height"],
+  ul: [],
+  ol: ["start"],
+  li: [],
+  h1: ["style"],
+  h2: ["style"],
+  h3: ["style"],
+  h4: ["style"],
+  h5: ["style"],
+  h6: ["style"],
+  blockquote: [],
+  table: [],
+  thead: [],
+  tbody: [],
+  tr: [],
+  th: ["colspan", "rowspan", "style"],
+  td: ["colspan", "rowspan", "style"],
+  details: [],
+  summary: [],
+  time: ["datetime"],
+  figure: [],
+  figcaption: [],
+  mention: ["class", "data-id", "data-type", "data-text"],
+};
+
+// Tags whose content is dropped together with the tag
+const DROPPED_CONTENT_TAGS = [
+  "script",
+  "style",
+  "iframe",
+  "object",
+  "embed",
+  "template",
+  "noscript",
+];
+
+const ALLOWED_STYLES = [
+  "color",
+  "background-color",
+  "text-align",
+  "margin-left",
+];
+
+const URL_ATTRIBUTES = ["href", "src"];
+
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&(?!(?:#\d+|#x[0-9a-f]+|\w+);)/gi, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function decodeEntities(value) {
+  return String(value)
+    .replace(/&#x([0-9a-f]+);?/gi, (_, hex) =>
+      String.fromCodePoint(parseInt(hex, 16))
+    )
+    .replace(/&#(\d+);?/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&colon;/gi, ":")
+    .replace(/&tab;/gi, "\t")
+    .replace(/&newline;/gi, "\n")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Relative URLs and URLs with an allowed scheme are safe. Browsers ignore
+ * control characters and whitespace in the scheme, so they are removed
+ * before the check.
+ */
+function isSafeUrl(url) {
+  const normalized = decodeEntities(url).replace(/[\u0000-\u0020]/g, "");
+  if (!normalized) return false;
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!scheme) return true;
+  return ALLOWED_URL_SCHEMES.includes(scheme[1].toLowerCase() + ":");
+}
+
+// Keep the allowed declarations of a style attribute
+function sanitizeStyle(style, rejected) {
+  const declarations = [];
+  for (const declaration of decodeEntities(style).split(";")) {
+    if (!declaration.trim()) continue;
+    const separator = declaration.indexOf(":");
+    const property = declaration.slice(0, separator).trim().toLowerCase();
+    const value = declaration.slice(separator + 1).trim();
+    if (
+      separator !== -1 &&
+      ALLOWED_STYLES.includes(property) &&
+      /^[#\w\s(),.%-]+$/.test(value) &&
+      !/url\s*\(|expression\s*\(/i.test(value)
+    ) {
+      declarations.push(`${property}: ${value}`);
+    } else {
+      rejected.push(`style "${declaration.trim()}"`);
+    }
+  }
+  return declarations.join("; ");
+}
+
+function parseAttributes(source) {
+  const attributes = [];
+  const pattern =
+    /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  for (const match of source.matchAll(pattern)) {
+    attributes.push({
+      name: match[1].toLowerCase(),
+      value: match[2] ?? match[3] ?? match[4] ?? "",
+    });
+  }
+  return attributes;
+}
+
+// Sanitize a single start or end tag. Returns the tag to keep or "".
+function sanitizeTag(token, rejected) {
+  const match = token.match(/^<(\/?)([a-z][a-z0-9-]*)([\s\S]*?)(\/?)>$/i);
+  if (!match) {
+    rejected.push(`malformed tag ${token.slice(0, 40)}`);
+    return "";
+  }
+
+  const [, closing, rawName, rawAttributes, selfClosing] = match;
+  const name = rawName.toLowerCase();
+  if (!ALLOWED_TAGS[name]) {
+    if (!closing) rejected.push(`<${name}>`);
+    return "";
+  }
+  if (closing) return `</${name}>`;
+
+  let attributes = "";
+  for (const { name: attribute, value } of parseAttributes(rawAttributes)) {
+    if (!ALLOWED_TAGS[name].includes(attribute)) {
+      rejected.push(`${attribute} attribute on <${name}>`);
+      continue;
+    }
+    let safeValue = value;
+    if (URL_ATTRIBUTES.includes(attribute) && !isSafeUrl(value)) {
+      rejected.push(`${attribute}="${value.slice(0, 60)}" on <${name}>`);
+      continue;
+    }
+    if (attribute === "style") {
+      safeValue = sanitizeStyle(value, rejected);
+      if (!safeValue) continue;
+    }
+    attributes += ` ${attribute}="${escapeAttribute(safeValue)}"`;
+  }
+  return `<${name}${attributes}${selfClosing ? " /" : ""}>`;
+}
+
+/**
+ * Sanitize a piece of HTML. state carries the tags whose content is being
+ * dropped across calls, for HTML embedded in Markdown.
+ * Returns { text, rejected: [descriptions of removed constructs] }
+ */
+function sanitizeHtml(html, state = { dropping: [] }, rejected = []) {
+  let result = "";
+  let position = 0;
+  const tokens = /<!--[\s\S]*?-->|<\/?[a-z][^>]*>|<(?![\s\d=<])/gi;
+
+  for (const match of html.matchAll(tokens)) {
+    const token = match[0];
+    const before = html.slice(position, match.index);
+    if (state.dropping.length === 0) result += before;
+    position = match.index + token.length;
+
+    if (token === "<") {
+      // A stray < that doesn't start a tag
+      if (state.dropping.length === 0) result += "&lt;";
+      continue;
+    }
+    if (token.startsWith("<!--")) {
+      if (state.dropping.length === 0) result += token;
+      continue;
+    }
+
+    const name = (token.match(/^<\/?([a-z][a-z0-9-]*)/i) || [])[1]?.toLowerCase();
+    if (DROPPED_CONTENT_TAGS.includes(name)) {
+      if (token.startsWith("</")) {
+        state.dropping.pop();
+      } else if (!token.endsWith("/>")) {
+        rejected.push(`<${name}> with its content`);
+        state.dropping.push(name);
+      }
+      continue;
+    }
+    if (state.dropping.length === 0) {
+      result += sanitizeTag(token, rejected);
+    }
+  }
+
+  if (state.dropping.length === 0) result += html.slice(position);
+  return { text: result, rejected };
+}
+
+// Backslash escapes, code, links, autolinks and HTML of converted Markdown
+const MARKDOWN_TOKENS =
+  /\\[\s\S]|(`{3,}|~{3,})[^\n]*\n[\s\S]*?\n\1|(`+)[\s\S]*?\2|(!?)\[((?:\\.|[^\]\\])*)\]\(([^)\s]*)((?:\s+"(?:\\.|[^"\\])*")?)\)|<([a-z][a-z0-9+.-]*:[^\s<>]*)>|<!--[\s\S]*?-->|<\/?[a-z][^>\n]*>/gi;
+
+/**
+ * Sanitize converted Markdown: inline HTML is sanitized like HTML and links
+ * and images must use an allowed URL scheme. Code is left untouched.
+ * Returns { text, rejected }
+ */
+function sanitizeMarkdown(markdown) {
+  const rejected = [];
+  const state = { dropping: [] };
+  let result = "";
+  let position = 0;
+
+  for (const match of markdown.matchAll(MARKDOWN_TOKENS)) {
+    const [token, fence, backticks, image, label, url, , autolink] = match;
+    const before = markdown.slice(position, match.index);
+    if (state.dropping.length === 0) result += before;
+    position = match.index + token.length;
+
+    if (state.dropping.length > 0 && !token.startsWith("<")) continue;
+
+    if (fence || backticks || token.startsWith("\\")) {
+      // Code and backslash escapes like \<T\> are literal text
+      result += token;
+    } else if (autolink) {
+      if (isSafeUrl(autolink)) {
+        result += token;
+      } else {
+        rejected.push(`link to ${autolink.slice(0, 60)}`);
+        result += autolink.replace(/[<>]/g, "");
+      }
+    } else if (token.startsWith("<")) {
+      result += sanitizeHtml(token, state, rejected).text;
+    } else if (isSafeUrl(url)) {
+      result += token;
+    } else {
+      rejected.push(`${image ? "image" : "link"} to ${url.slice(0, 60)}`);
+      result += label;
+    }
+  }
+
+  if (state.dropping.length === 0) result += markdown.slice(position);
+  return { text: result, rejected };
+}
+
+module.exports = {
+  sanitizeHtml,
+  sanitizeMarkdown,
+  isSafeUrl,
+};
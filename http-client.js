@@ -0,0 +1,182 @@
+require("dotenv").config();
+const axios = require("axios");
+
+/**
+ * Shared HTTP layer for the Jira and OpenProject clients.
+ *
+ * Every client created here
+ *   - waits for its turn in a per-host rate limiter
+ *   - retries transient failures (429, 408, 502, 503, 504 and network errors)
+ *     with exponential backoff, honoring the Retry-After header
+ *   - applies a default timeout
+ *
+ * Only idempotent requests (GET, HEAD, OPTIONS, PUT, DELETE) are retried by
+ * default. A 429 is retried for every method because the server rejected the
+ * request without processing it. Individual requests can opt in or out with
+ * `retry: true` (e.g. read-only POST searches) or `retry: false` (e.g. stream
+ * uploads that cannot be replayed) in their axios config.
+ */
+
+function readNumber(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? defaultValue : value;
+}
+
+const HTTP_TIMEOUT_MS = readNumber("HTTP_TIMEOUT_MS", 60000);
+const HTTP_TRANSFER_TIMEOUT_MS = readNumber("HTTP_TRANSFER_TIMEOUT_MS", 300000);
+const HTTP_MAX_RETRIES = readNumber("HTTP_MAX_RETRIES", 5);
+const HTTP_RETRY_BASE_DELAY_MS = readNumber("HTTP_RETRY_BASE_DELAY_MS", 1000);
+const HTTP_RETRY_MAX_DELAY_MS = readNumber("HTTP_RETRY_MAX_DELAY_MS", 60000);
+const HTTP_REQUESTS_PER_SECOND = readNumber("HTTP_REQUESTS_PER_SECOND", 10);
+
+const IDEMPOTENT_METHODS = ["get", "head", "options", "put", "delete"];
+const RETRYABLE_STATUS_CODES = [408, 429, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = [
+  "ECONNRESET",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+  "ENOTFOUND",
+  "ECONNREFUSED",
+];
+
+// Earliest time the next request may be sent, per host
+const hostSchedule = new Map();
+
+// Per-service override of HTTP_REQUESTS_PER_SECOND, e.g. JIRA_REQUESTS_PER_SECOND
+function getRequestsPerSecond(name) {
+  return readNumber(name, HTTP_REQUESTS_PER_SECOND);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function getRequestHost(client, requestConfig) {
+  try {
+    return new URL(client.getUri(requestConfig)).host;
+  } catch (error) {
+    return requestConfig.baseURL || "unknown";
+  }
+}
+
+async function waitForTurn(host, requestsPerSecond) {
+  const interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+  const now = Date.now();
+  const slot = Math.max(now, hostSchedule.get(host) || 0);
+  hostSchedule.set(host, slot + interval);
+  if (slot > now) {
+    await sleep(slot - now);
+  }
+}
+
+// Hold back every request to a host, e.g. while it asks us to slow down
+function pauseHost(host, ms) {
+  const resumeAt = Date.now() + ms;
+  if ((hostSchedule.get(host) || 0) < resumeAt) {
+    hostSchedule.set(host, resumeAt);
+  }
+}
+
+function parseRetryAfter(headers) {
+  const value = headers?.["retry-after"];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) return Math.max(0, date - Date.now());
+
+  return null;
+}
+
+function isRetryable(error) {
+  const config = error.config;
+  if (!config || config.retry === false) return false;
+
+  const status = error.response?.status;
+  if (status === 429) return true;
+
+  const transient = status
+    ? RETRYABLE_STATUS_CODES.includes(status)
+    : RETRYABLE_ERROR_CODES.includes(error.code);
+  if (!transient) return false;
+
+  const method = (config.method || "get").toLowerCase();
+  return config.retry === true || IDEMPOTENT_METHODS.includes(method);
+}
+
+function getRetryDelay(error, attempt) {
+  const retryAfter = parseRetryAfter(error.response?.headers);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, HTTP_RETRY_MAX_DELAY_MS);
+  }
+
+  const backoff = Math.min(
+    HTTP_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1),
+    HTTP_RETRY_MAX_DELAY_MS
+  );
+  // Add jitter so parallel clients don't retry in lockstep
+  return Math.round(backoff / 2 + (Math.random() * backoff) / 2);
+}
+
+function createHttpClient(config = {}) {
+  const {
+    requestsPerSecond = HTTP_REQUESTS_PER_SECOND,
+    maxRetries = HTTP_MAX_RETRIES,
+    ...axiosConfig
+  } = config;
+
+  const client = axios.create({
+    timeout: HTTP_TIMEOUT_MS,
+    ...axiosConfig,
+  });
+
+  client.interceptors.request.use(async (requestConfig) => {
+    await waitForTurn(getRequestHost(client, requestConfig), requestsPerSecond);
+    return requestConfig;
+  });
+
+  client.interceptors.response.use(undefined, async (error) => {
+    const requestConfig = error.config;
+    if (!isRetryable(error)) {
+      throw error;
+    }
+
+    const attempt = (requestConfig.retryAttempt || 0) + 1;
+    if (attempt > maxRetries) {
+      console.error(
+        `Giving up on ${requestConfig.method?.toUpperCase()} ${
+          requestConfig.url
+        } after ${maxRetries} retries`
+      );
+      throw error;
+    }
+
+    const delay = getRetryDelay(error, attempt);
+    const status = error.response?.status;
+    if (status === 429 || status === 503) {
+      pauseHost(getRequestHost(client, requestConfig), delay);
+    }
+
+    console.warn(
+      `${requestConfig.method?.toUpperCase()} ${requestConfig.url} failed (${
+        status || error.code
+      }), retrying in ${delay}ms (attempt ${attempt} of ${maxRetries})`
+    );
+    await sleep(delay);
+
+    return client.request({ ...requestConfig, retryAttempt: attempt });
+  });
+
+  return client;
+}
+
+module.exports = {
+  createHttpClient,
+  getRequestsPerSecond,
+  HTTP_TIMEOUT_MS,
+  HTTP_TRANSFER_TIMEOUT_MS,
+};
@@ -0,0 +1,129 @@
+require("dotenv").config();
+const { getOpenProjectClient } = require("./openproject-client");
+
+/**
+ * Checks the API keys of op-user-api-keys.js before a migration, so that a
+ * wrong or revoked key doesn't fail a run halfway through. For every user
+ * the key must belong to the mapped user ID and login, and the user must be
+ * able to add work packages and comments in the target project. Permissions
+ * are per project, so the check runs again for every project migrated to.
+ */
+
+function describeRequestError(error) {
+  const status = error.response?.status;
+  if (status === 401) return "API key rejected (401)";
+  if (status === 403) return "access denied (403)";
+  return error.message;
+}
+
+async function checkActingUser(userId, actingUser, projectId) {
+  const result = {
+    userId,
+    login: actingUser.login || "",
+    problems: [],
+    warnings: [],
+  };
+  if (!actingUser.apiKey) {
+    result.problems.push("no API key");
+    return result;
+  }
+
+  const client = getOpenProjectClient(actingUser);
+  try {
+    const { data: me } = await client.get("/users/me");
+    if (String(me.id) !== String(userId)) {
+      result.problems.push(`key belongs to user ${me.id} (${me.login})`);
+    }
+    if (actingUser.login && me.login !== actingUser.login) {
+      result.problems.push(`login is ${me.login}, not ${actingUser.login}`);
+    }
+  } catch (error) {
+    result.problems.push(describeRequestError(error));
+    return result;
+  }
+
+  try {
+    const { data: project } = await client.get(`/projects/${projectId}`);
+    if (!project._links?.createWorkPackage) {
+      result.problems.push("can't add work packages to the project");
+    }
+  } catch (error) {
+    result.problems.push(
+      error.response?.status === 404
+        ? "not a member of the project"
+        : describeRequestError(error)
+    );
+    return result;
+  }
+
+  // Comment permissions are only exposed on work packages
+  try {
+    const { data } = await client.get(`/projects/${projectId}/work_packages`, {
+      params: { pageSize: 1 },
+    });
+    const workPackage = data._embedded?.elements?.[0];
+    if (!workPackage) {
+      result.warnings.push("comment permission not checked, project is empty");
+    } else if (!workPackage._links?.addComment) {
+      result.problems.push("can't comment on work packages");
+    }
+  } catch (error) {
+    result.problems.push(describeRequestError(error));
+  }
+
+  return result;
+}
+
+function printResults(results) {
+  const rows = results.map((result) => [
+    String(result.userId),
+    result.login,
+    result.problems.length === 0 ? "usable" : "broken",
+    [...result.problems, ...result.warnings].join("; "),
+  ]);
+  const header = ["User ID", "Login", "Status", "Details"];
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map((row) => row[column].length))
+  );
+  const formatRow = (row) =>
+    row.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd();
+
+  console.log(formatRow(header));
+  console.log(formatRow(widths.map((width) => "-".repeat(width))));
+  rows.forEach((row) => console.log(formatRow(row)));
+}
+
+/**
+ * Validates the acting users (OpenProject user ID -> { login, apiKey })
+ * against the target project and prints the results.
+ * Returns { usable: [user IDs], broken: [user IDs] }
+ */
+async function validateActingUsers(actingUsers, projectId) {
+  const entries = Object.entries(actingUsers);
+  if (entries.length === 0) {
+    return { usable: [], broken: [] };
+  }
+
+  console.log(`\nChecking ${entries.length} impersonation API keys...`);
+  const results = [];
+  for (const [userId, actingUser] of entries) {
+    results.push(await checkActingUser(userId, actingUser, projectId));
+  }
+  printResults(results);
+  console.log(
+    `Permissions were checked in project ${projectId} only, other target projects are checked when they are migrated.`
+  );
+
+  return {
+    usable: results
+      .filter((result) => result.problems.length === 0)
+      .map((result) => result.userId),
+    broken: results
+      .filter((result) => result.problems.length > 0)
+      .map((result) => result.userId),
+  };
+}
+
+module.exports = {
+  validateActingUsers,
+};
@@ -6,27 +6,76 @@ const {
   getAllJiraIssues,
   getSpecificJiraIssues,
   downloadAttachment,
+  getAttachmentMediaId,
   listProjects,
+  getIssueComments,
+  getIssueWorklogs,
   getIssueWatchers,
+  getIssueRemoteLinks,
 } = require("./jira-client");
-const commentUserMapping = require("./op-user-api-keys");
+const {
+  getIssueFields,
+  getJiraFieldId,
+  requireJiraField,
+} = require("./jira-fields");
+const { getJiraUserId, isJiraCloud, getJiraSiteUrl } = require("./jira-flavor");
+const {
+  convertAtlassianDocumentToText,
+  convertRichText,
+  escapeHtml,
+  escapeMarkdown,
+  escapeMarkdownUrl,
+  getUnsupportedAdfTypes,
+} = require("./adf-converter");
+const {
+  sanitizeHtml,
+  sanitizeMarkdown,
+  isSafeUrl,
+} = require("./html-sanitizer");
+const {
+  rewriteJiraLinks,
+  loadLinkQueue,
+  saveLinkQueue,
+  queueUnresolvedLinks,
+} = require("./link-rewriter");
+const { appendProvenance, renderCommentHeader } = require("./provenance");
+const { createRelationship } = require("./create-relationships");
+const {
+  actingUsers: commentUserMapping,
+  resolveActingUsers,
+} = require("./op-user-api-keys");
+const { validateActingUsers } = require("./impersonation-check");
 const { generateMapping } = require("./generate-user-mapping");
+const {
+  syncVersions,
+  finalizeVersions,
+  restoreReopenedVersions,
+  getIssueVersionName,
+  VERSION_PRECEDENCE,
+} = require("./version-mapping");
+const {
+  prepareComponentsAndLabels,
+  applyComponentsAndLabels,
+} = require("./component-label-mapping");
+const {
+  resolveFieldMappings,
+  applyFieldMappings,
+  printFieldMappingReport,
+} = require("./custom-field-mapping");
 const {
   getOpenProjectWorkPackages,
   createWorkPackage,
-  createWorkPackageAsUser,
   updateWorkPackage,
-  updateWorkPackageAsUser,
   addComment,
-  addCommentAsUser,
   uploadAttachment,
-  uploadAttachmentAsUser,
   getWorkPackageTypes,
   getWorkPackageStatuses,
   getWorkPackageTypeId,
+  isMilestoneType,
   getWorkPackageStatusId,
   getExistingAttachments,
   getExistingComments,
+  findWorkPackageIdByJiraKey,
   getOpenProjectUsers,
   getOpenProjectUserById,
   findExistingWorkPackage,
@@ -34,6 +83,10 @@ const {
   getWorkPackagePriorityId,
   getWorkPackagePriorities,
   addWatcher,
+  toIsoDuration,
+  getExistingTimeEntries,
+  createTimeEntry,
+  TIME_ENTRY_ACTIVITY_ID,
 } = require("./openproject-client");
 
 // Create temp directory for attachments if it doesn't exist
@@ -42,8 +95,16 @@ if (!fs.existsSync(tempDir)) {
   fs.mkdirSync(tempDir, { recursive: true });
 }
 
+// Format of migrated descriptions and comments: markdown (OpenProject's native
+// format) or html
+const TEXT_FORMAT =
+  (process.env.TEXT_FORMAT || "").toLowerCase() === "html" ? "html" : "markdown";
+
 let userMapping = null;
 let commentTimestampQueue = [];
+// Acting users left out of a run because they failed the check for its
+// project. They are checked again for the next project (migrate-all.js).
+const suspendedActingUsers = {};
 const queuePath = path.join(__dirname, "comment-timestamps.json");
 
 if (fs.existsSync(queuePath)) {
@@ -60,7 +121,7 @@ async function getOpenProjectUserId(jiraUser) {
     return null;
   }
 
-  const openProjectUserId = userMapping[jiraUser.accountId];
+  const openProjectUserId = userMapping[getJiraUserId(jiraUser)];
   if (openProjectUserId) {
     console.log(
       `Found OpenProject user ID ${openProjectUserId} for Jira user ${jiraUser.displayName}`
@@ -74,6 +135,293 @@ async function getOpenProjectUserId(jiraUser) {
   return null;
 }
 
+// Map Jira dates and time tracking to the work package payload
+function applyDatesAndEstimates(issue, payload, opTypeId) {
+  const startDateField = getJiraFieldId("startDate");
+  const startDate =
+    (startDateField && issue.fields[startDateField]?.slice(0, 10)) || null;
+  const dueDate = issue.fields.duedate?.slice(0, 10) || null;
+
+  if (isMilestoneType(opTypeId)) {
+    const date = dueDate || startDate;
+    if (date) {
+      payload.date = date;
+    }
+  } else {
+    if (startDate && dueDate && startDate > dueDate) {
+      console.warn(
+        `${issue.key} starts after its due date (${startDate} > ${dueDate}), only migrating the due date`
+      );
+    } else if (startDate) {
+      payload.startDate = startDate;
+    }
+    if (dueDate) {
+      payload.dueDate = dueDate;
+    }
+  }
+
+  const { timeoriginalestimate, timeestimate } = issue.fields;
+  if (timeoriginalestimate !== null && timeoriginalestimate !== undefined) {
+    payload.estimatedTime = toIsoDuration(timeoriginalestimate);
+  }
+  if (timeestimate !== null && timeestimate !== undefined) {
+    payload.remainingTime = toIsoDuration(timeestimate);
+  }
+}
+
+// Use the embedded comments unless Jira truncated them in the search response
+async function getCompleteComments(issue) {
+  const embedded = issue.fields.comment;
+  const comments = embedded?.comments || [];
+  if (!embedded || (embedded.total || 0) <= comments.length) {
+    return { comments, fetched: false };
+  }
+
+  console.log(
+    `${issue.key} embeds ${comments.length} of ${embedded.total} comments, fetching the complete thread...`
+  );
+  return { comments: await getIssueComments(issue.key), fetched: true };
+}
+
+async function getCompleteWorklogs(issue) {
+  const embedded = issue.fields.worklog;
+  const worklogs = embedded?.worklogs || [];
+  if (!embedded || (embedded.total || 0) <= worklogs.length) {
+    return worklogs;
+  }
+
+  console.log(
+    `${issue.key} embeds ${worklogs.length} of ${embedded.total} worklogs, fetching all worklogs...`
+  );
+  return await getIssueWorklogs(issue.key);
+}
+
+// Migrate Jira worklogs as OpenProject time entries. Each time entry comment
+// carries the Jira worklog ID so re-runs skip worklogs that already exist.
+async function migrateWorklogs(issue, workPackageId, isProd) {
+  const stats = { created: 0, skipped: 0, failed: 0 };
+  const jiraWorklogs = await getCompleteWorklogs(issue);
+  if (jiraWorklogs.length === 0) return stats;
+
+  console.log(`Processing ${jiraWorklogs.length} worklogs`);
+  const existingTimeEntries = isProd
+    ? await getExistingTimeEntries(workPackageId)
+    : [];
+  if (!existingTimeEntries) {
+    console.error(
+      `Skipping worklogs of ${issue.key}: could not check which were already migrated`
+    );
+    stats.failed += jiraWorklogs.length;
+    return stats;
+  }
+  const jiraWorklogIdRegex = /jira-worklog-id: (\d+)/;
+  const migratedWorklogIds = new Set();
+  for (const timeEntry of existingTimeEntries) {
+    const match = timeEntry.comment?.raw?.match(jiraWorklogIdRegex);
+    if (match) {
+      migratedWorklogIds.add(match[1]);
+    }
+  }
+
+  for (const worklog of jiraWorklogs) {
+    if (migratedWorklogIds.has(worklog.id)) {
+      console.log(`Skipping already migrated worklog for Jira ID ${worklog.id}.`);
+      stats.skipped++;
+      continue;
+    }
+
+    const openProjectUserId = userMapping[getJiraUserId(worklog.author)];
+    const opUser = commentUserMapping[openProjectUserId];
+
+    const commentParts = [];
+    const worklogComment = convertAtlassianDocumentToText(worklog.comment);
+    if (worklogComment) {
+      commentParts.push(worklogComment);
+    }
+    if (!openProjectUserId) {
+      commentParts.push(`Logged by ${worklog.author?.displayName} in Jira`);
+    }
+    commentParts.push(`(jira-worklog-id: ${worklog.id})`);
+
+    const payload = {
+      hours: toIsoDuration(worklog.timeSpentSeconds),
+      spentOn: worklog.started.slice(0, 10),
+      comment: {
+        format: "plain",
+        raw: commentParts.join("\n"),
+      },
+      _links: {
+        workPackage: {
+          href: `/api/v3/work_packages/${workPackageId}`,
+        },
+      },
+    };
+
+    if (TIME_ENTRY_ACTIVITY_ID) {
+      payload._links.activity = {
+        href: `/api/v3/time_entries/activities/${TIME_ENTRY_ACTIVITY_ID}`,
+      };
+    }
+
+    if (openProjectUserId) {
+      payload._links.user = {
+        href: `/api/v3/users/${openProjectUserId}`,
+      };
+    }
+
+    if (!isProd) {
+      console.log(
+        "[DRY RUN] Would create time entry:",
+        JSON.stringify(payload, null, 2)
+      );
+      stats.created++;
+      continue;
+    }
+
+    try {
+      await createTimeEntry(payload, opUser);
+      console.log(
+        `Created time entry for Jira worklog ${worklog.id} (${payload.hours} on ${payload.spentOn})`
+      );
+      stats.created++;
+    } catch (error) {
+      console.error(
+        `Failed to migrate worklog ${worklog.id} of ${issue.key}:`,
+        error.message
+      );
+      stats.failed++;
+    }
+  }
+
+  return stats;
+}
+
+// The key of a remote link pointing at an issue of this Jira site
+function getLinkedJiraIssueKey(remoteLink) {
+  const url = remoteLink.object?.url || "";
+  const site = getJiraSiteUrl().replace(/^https?:/, "");
+  const match = url.match(/^https?:(.*)\/browse\/([A-Z][A-Z0-9_]+-\d+)\/?$/);
+  return match && match[1] === site ? match[2] : null;
+}
+
+function renderRemoteLink(remoteLink, format) {
+  const { url, title } = remoteLink.object;
+  const details = [remoteLink.relationship, remoteLink.application?.name]
+    .filter(Boolean)
+    .join(", ");
+  if (format === "html") {
+    const suffix = details ? ` (${escapeHtml(details)})` : "";
+    return `<li><a href="${escapeHtml(url)}">${escapeHtml(title || url)}</a>${suffix}</li>`;
+  }
+  const suffix = details ? ` (${escapeMarkdown(details)})` : "";
+  return `- [${escapeMarkdown(title || url)}](${escapeMarkdownUrl(url)})${suffix}`;
+}
+
+async function relateRemoteLink(
+  workPackageId,
+  linkedWorkPackageId,
+  linkedKey,
+  isProd
+) {
+  if (isProd) {
+    await createRelationship(workPackageId, linkedWorkPackageId, "relates");
+  } else {
+    console.log(
+      `[DRY RUN] Would relate work package ${workPackageId} to ${linkedWorkPackageId} (${linkedKey})`
+    );
+  }
+}
+
+// Migrate Jira remote links. Links to issues of this Jira site become
+// "relates" relations once the issue is migrated, all other links are posted
+// as a "Links" comment. The comment carries the Jira remote link IDs, so
+// re-runs only post links that were added since. Links to issues that are
+// migrated later in this run (runIssueKeys) are added to pendingRelations
+// and related after all issues are processed.
+async function migrateRemoteLinks(
+  issue,
+  workPackageId,
+  isProd,
+  { textFormat, knownWorkPackages, runIssueKeys, pendingRelations }
+) {
+  const stats = { links: 0, relations: 0 };
+  const remoteLinks = await getIssueRemoteLinks(issue.key);
+  if (remoteLinks.length === 0) return stats;
+
+  console.log(`Processing ${remoteLinks.length} remote links`);
+  const existingComments = isProd
+    ? await getExistingComments(workPackageId)
+    : [];
+  if (!existingComments) {
+    throw new Error("could not check which links were already posted");
+  }
+  const migratedLinkIds = new Set();
+  for (const comment of existingComments) {
+    const match = comment.comment.raw.match(/jira-remote-link-ids: ([\d,]+)/);
+    if (match) {
+      match[1].split(",").forEach((id) => migratedLinkIds.add(id));
+    }
+  }
+
+  const newLinks = [];
+  for (const remoteLink of remoteLinks) {
+    const linkedKey = getLinkedJiraIssueKey(remoteLink);
+    if (
+      linkedKey &&
+      !knownWorkPackages.has(linkedKey) &&
+      runIssueKeys.has(linkedKey)
+    ) {
+      pendingRelations.push({ issueKey: issue.key, workPackageId, linkedKey });
+      continue;
+    }
+    const linkedWorkPackageId = linkedKey
+      ? knownWorkPackages.get(linkedKey) ||
+        (await findWorkPackageIdByJiraKey(linkedKey))
+      : null;
+    if (linkedWorkPackageId) {
+      await relateRemoteLink(
+        workPackageId,
+        linkedWorkPackageId,
+        linkedKey,
+        isProd
+      );
+      stats.relations++;
+      continue;
+    }
+
+    if (migratedLinkIds.has(String(remoteLink.id))) {
+      console.log(`Skipping already migrated remote link ${remoteLink.id}.`);
+      continue;
+    }
+    if (!remoteLink.object?.url || !isSafeUrl(remoteLink.object.url)) {
+      console.warn(
+        `Skipping remote link ${remoteLink.id} of ${issue.key} with unsupported URL: ${remoteLink.object?.url}`
+      );
+      continue;
+    }
+    newLinks.push(remoteLink);
+  }
+  if (newLinks.length === 0) return stats;
+
+  const items = newLinks.map((link) => renderRemoteLink(link, textFormat));
+  const marker = `<!-- jira-remote-link-ids: ${newLinks
+    .map((link) => link.id)
+    .join(",")} -->`;
+  const comment =
+    textFormat === "html"
+      ? `<p><strong>Links</strong></p><ul>${items.join("")}</ul>${marker}`
+      : `**Links**\n\n${items.join("\n")}\n\n${marker}`;
+
+  if (isProd) {
+    await addComment(workPackageId, comment, textFormat);
+    console.log(`Added ${newLinks.length} remote links as a comment`);
+  } else {
+    console.log("[DRY RUN] Would add links comment:", comment);
+  }
+  stats.links += newLinks.length;
+  return stats;
+}
+
 async function migrateIssues(
   jiraProjectKey,
   openProjectId,
@@ -82,6 +430,32 @@ async function migrateIssues(
   skipUpdates,
   mapResponsible,
   options = {}
+) {
+  try {
+    return await runMigration(
+      jiraProjectKey,
+      openProjectId,
+      isProd,
+      specificIssues,
+      skipUpdates,
+      mapResponsible,
+      options
+    );
+  } finally {
+    // Versions are reopened for the migration, don't leave them open when it
+    // stops before they got their final status
+    await restoreReopenedVersions();
+  }
+}
+
+async function runMigration(
+  jiraProjectKey,
+  openProjectId,
+  isProd,
+  specificIssues,
+  skipUpdates,
+  mapResponsible,
+  options = {}
 ) {
   console.log(
     `Starting migration for project ${jiraProjectKey} to OpenProject project ${openProjectId}`
@@ -91,6 +465,11 @@ async function migrateIssues(
     "Map Jira creator to OpenProject accountable:",
     mapResponsible ? "yes" : "no"
   );
+  if (options.jqlFilter) {
+    console.log("JQL filter:", options.jqlFilter);
+  }
+  const textFormat = options.textFormat || TEXT_FORMAT;
+  console.log("Text format:", textFormat);
 
   // Generate or load user mapping
   console.log("\nChecking user mapping...");
@@ -125,7 +504,41 @@ async function migrateIssues(
   await getWorkPackageTypes();
   await getWorkPackageStatuses();
   await getWorkPackagePriorities();
-  await getOpenProjectUsers();
+  resolveActingUsers(await getOpenProjectUsers());
+  Object.assign(commentUserMapping, suspendedActingUsers);
+  Object.keys(suspendedActingUsers).forEach(
+    (userId) => delete suspendedActingUsers[userId]
+  );
+
+  // Check the impersonation API keys before anything is written
+  const actingUsers = await validateActingUsers(
+    commentUserMapping,
+    openProjectId
+  );
+  if (actingUsers.broken.length > 0) {
+    if (!options.forceUseExistingMapping) {
+      const { proceed } = await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "proceed",
+          message:
+            "Continue without the broken identities? Their content is created by the API user instead.",
+          default: true,
+        },
+      ]);
+      if (!proceed) {
+        console.log("Migration cancelled.");
+        return new Map();
+      }
+    }
+    console.log(
+      `Not impersonating users ${actingUsers.broken.join(", ")} in this run`
+    );
+    actingUsers.broken.forEach((userId) => {
+      suspendedActingUsers[userId] = commentUserMapping[userId];
+      delete commentUserMapping[userId];
+    });
+  }
 
   // Cache OpenProject work packages if skipUpdates is enabled
   let openProjectWorkPackagesCache = null;
@@ -139,20 +552,102 @@ async function migrateIssues(
     );
   }
 
+  // Resolve the declarative custom field mappings (field-mapping.js) and the
+  // IDs of the Jira Software fields
+  const fieldMappings = await resolveFieldMappings();
+  const issueFields = await getIssueFields(
+    fieldMappings.map((mapping) => mapping.jiraFieldId)
+  );
+  requireJiraField("sprint", "sprints will not be migrated as versions");
+  requireJiraField("startDate", "start dates will not be migrated");
+  const fieldMappingReport = new Map();
+  const unmappedMentions = new Map();
+  const sanitizerReport = new Map();
+  const linkQueue = loadLinkQueue();
+  let rewrittenLinkCount = 0;
+  let queuedLinkCount = 0;
+
   // Get Jira issues
   const jiraIssues = specificIssues
-    ? await getSpecificJiraIssues(jiraProjectKey, specificIssues)
-    : await getAllJiraIssues(jiraProjectKey);
+    ? await getSpecificJiraIssues(jiraProjectKey, specificIssues, issueFields)
+    : await getAllJiraIssues(jiraProjectKey, issueFields, options.jqlFilter);
 
   console.log(`Found ${jiraIssues.length} Jira issues to process`);
   console.log("Issues will be processed in chronological order (oldest first)");
 
+  // Create OpenProject versions for Jira fixVersions and sprints
+  const versionPrecedence = options.versionPrecedence || VERSION_PRECEDENCE;
+  let versionContext = null;
+  try {
+    versionContext = await syncVersions(
+      jiraProjectKey,
+      openProjectId,
+      jiraIssues,
+      isProd
+    );
+  } catch (error) {
+    console.error(
+      "Could not synchronize versions, continuing without them:",
+      error.message
+    );
+  }
+
+  // Look up categories and label options, reporting missing ones up front
+  const typeIds = Array.from(
+    new Set(
+      jiraIssues.map((issue) => getWorkPackageTypeId(issue.fields.issuetype.name))
+    )
+  );
+  let componentLabelContext = {
+    categories: new Map(),
+    labelOptions: new Map(),
+    missingCategories: [],
+    missingLabels: [],
+  };
+  try {
+    componentLabelContext = await prepareComponentsAndLabels(
+      jiraIssues,
+      openProjectId,
+      typeIds
+    );
+  } catch (error) {
+    console.error(
+      "Could not look up categories and labels, continuing without them:",
+      error.message
+    );
+  }
+  if (
+    (componentLabelContext.missingCategories.length > 0 ||
+      componentLabelContext.missingLabels.length > 0) &&
+    !options.forceUseExistingMapping
+  ) {
+    const { proceed } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "proceed",
+        message:
+          "Continue without the missing categories and label options listed above?",
+        default: true,
+      },
+    ]);
+    if (!proceed) {
+      console.log("Migration cancelled.");
+      return new Map();
+    }
+  }
+
   // Process each issue
   let processed = 0;
   let skipped = 0;
   let errors = 0;
   let unknownStatusCount = 0;
   const issueToWorkPackageMap = new Map();
+  const commentCounts = [];
+  const worklogTotals = { created: 0, skipped: 0, failed: 0 };
+  const remoteLinkTotals = { links: 0, relations: 0, failed: 0 };
+  const runIssueKeys = new Set(jiraIssues.map((issue) => issue.key));
+  const pendingRemoteLinkRelations = [];
+  let versionAssignedCount = 0;
 
   for (const issue of jiraIssues) {
     try {
@@ -188,24 +683,35 @@ async function migrateIssues(
         responsibleId = await getOpenProjectUserId(issue.fields.creator);
       }
 
+      const opTypeId = getWorkPackageTypeId(issue.fields.issuetype.name);
       const opStatusId = getWorkPackageStatusId(issue.fields.status.name);
       if (opStatusId === getWorkPackageStatusId("unknown")) {
         unknownStatusCount++;
       }
 
+      const description = await convertIssueText(
+        issue.fields.description,
+        issue,
+        {
+          textFormat,
+          unmappedMentions,
+          knownWorkPackages: issueToWorkPackageMap,
+          sanitizerReport,
+        }
+      );
+      rewrittenLinkCount += description.rewritten;
+
       // Create work package payload
       const payload = {
         _type: "WorkPackage",
         subject: issue.fields.summary,
         description: {
-          format: "html",
-          raw: convertAtlassianDocumentToHtml(issue.fields.description),
+          format: textFormat,
+          raw: appendProvenance(description.text, issue, textFormat),
         },
         _links: {
           type: {
-            href: `/api/v3/types/${getWorkPackageTypeId(
-              issue.fields.issuetype.name
-            )}`,
+            href: `/api/v3/types/${opTypeId}`,
           },
           status: {
             href: `/api/v3/statuses/${opStatusId}`,
@@ -236,32 +742,52 @@ async function migrateIssues(
         };
       }
 
+      // Add start/due dates (or the milestone date) and estimates
+      applyDatesAndEstimates(issue, payload, opTypeId);
+
+      // Add category from components and labels custom field
+      applyComponentsAndLabels(issue, payload, opTypeId, componentLabelContext);
+
+      // Add mapped custom fields and attributes
+      await applyFieldMappings(
+        issue,
+        payload,
+        fieldMappings,
+        { openProjectId, typeId: opTypeId, userMapping },
+        fieldMappingReport
+      );
+
+      // Add version from fixVersion or sprint
+      const versionName = getIssueVersionName(issue, versionPrecedence);
+      const versionId = versionContext?.versionIds.get(versionName);
+      if (versionId) {
+        console.log(`Assigning version ${versionName} (ID: ${versionId})`);
+        payload._links.version = {
+          href: `/api/v3/versions/${versionId}`,
+        };
+        versionAssignedCount++;
+      }
+
       let workPackage;
       if (isProd) {
 
-        const mappedUserId = userMapping[issue.fields.creator.accountId];
+        const mappedUserId = userMapping[getJiraUserId(issue.fields.creator)];
         const opUser = commentUserMapping[mappedUserId];
 
-        if (existingWorkPackage) {
-          console.log(`Updating existing work package ${existingWorkPackage.id}`);
+        const actingAs = opUser ? ` as ${opUser.login}` : "";
 
-          if (opUser) {
-            console.log(`DEBUG: Creating work package as impersonated user: ${opUser.login}`);
-            workPackage = await updateWorkPackageAsUser(existingWorkPackage.id, payload, opUser);
-          } else {
-            console.log("DEBUG: Creating work package using default API user");
-            workPackage = await updateWorkPackage(existingWorkPackage.id, payload);
-          }
+        if (existingWorkPackage) {
+          console.log(
+            `Updating existing work package ${existingWorkPackage.id}${actingAs}`
+          );
+          workPackage = await updateWorkPackage(
+            existingWorkPackage.id,
+            payload,
+            opUser
+          );
         } else {
-          console.log("Creating new work package");
-
-          if (opUser) {
-            console.log(`DEBUG: Creating work package as impersonated user: ${opUser.login}`);
-            workPackage = await createWorkPackageAsUser(openProjectId, payload, opUser);
-          } else {
-            console.log("DEBUG: Creating work package using default API user");
-            workPackage = await createWorkPackage(openProjectId, payload);
-          }
+          console.log(`Creating new work package${actingAs}`);
+          workPackage = await createWorkPackage(openProjectId, payload, opUser);
         }
       } else {
         console.log(
@@ -275,88 +801,90 @@ async function migrateIssues(
 
       issueToWorkPackageMap.set(issue.key, workPackage.id);
 
-      // Process attachments
+      if (description.unresolved.length > 0) {
+        console.log(
+          `Queued unresolved references in description: ${description.unresolved.join(", ")}`
+        );
+        queuedLinkCount += description.unresolved.length;
+        if (isProd) {
+          queueUnresolvedLinks(linkQueue, {
+            workPackageId: workPackage.id,
+            target: "description",
+            format: textFormat,
+            keys: description.unresolved,
+          });
+        }
+      }
+
+      // Process attachments. attachmentIdMap: Jira attachment ID ->
+      // { id: OpenProject attachment ID, fileName, mimeType }
       const attachmentIdMap = new Map();
       if (issue.fields.attachment && issue.fields.attachment.length > 0) {
         const existingAttachments = isProd
           ? await getExistingAttachments(workPackage.id)
           : [];
-        const existingAttachmentNames = existingAttachments.map(
-          (a) => a.fileName
-        );
+        const fileNames = getAttachmentFileNames(issue.fields.attachment);
 
         for (const attachment of issue.fields.attachment) {
-          if (existingAttachmentNames.includes(attachment.filename)) {
-            console.log(`Skipping existing attachment: ${attachment.filename}`);
-            const existing = existingAttachments.find(a => a.fileName === attachment.filename);
-            if(existing) {
-              attachmentIdMap.set(attachment.filename, existing.id);
-            }
+          const fileName = fileNames.get(String(attachment.id));
+          const entry = { id: null, fileName, mimeType: attachment.mimeType };
+          attachmentIdMap.set(String(attachment.id), entry);
+
+          const existing = existingAttachments.find(
+            (a) => a.fileName === fileName
+          );
+          if (existing) {
+            console.log(`Skipping existing attachment: ${fileName}`);
+            entry.id = existing.id;
             continue;
           }
 
-          console.log(`Processing attachment: ${attachment.filename}`);
+          console.log(`Processing attachment: ${fileName}`);
           if (isProd) {
-            const tempFilePath = path.join(tempDir, attachment.filename);
+            const tempFilePath = path.join(tempDir, fileName);
             await downloadAttachment(attachment.content, tempFilePath);
-            const mappedUserId = userMapping[issue.fields.creator.accountId];
+            const mappedUserId = userMapping[getJiraUserId(issue.fields.creator)];
             const uploaderUser = commentUserMapping[mappedUserId];
-            if (uploaderUser) {
-              const newAttachment = await uploadAttachmentAsUser(workPackage.id, tempFilePath, attachment.filename, uploaderUser);
-              attachmentIdMap.set(attachment.filename, newAttachment.id);
-            } else {
-              const newAttachment = await uploadAttachment(workPackage.id, tempFilePath, attachment.filename);
-              attachmentIdMap.set(attachment.filename, newAttachment.id);
-            }
+            const newAttachment = await uploadAttachment(
+              workPackage.id,
+              tempFilePath,
+              fileName,
+              uploaderUser
+            );
+            entry.id = newAttachment.id;
             fs.unlinkSync(tempFilePath);
           } else {
-            console.log(
-              `[DRY RUN] Would upload attachment: ${attachment.filename}`
-            );
-            attachmentIdMap.set(attachment.filename, "DRY_RUN_ATTACHMENT_ID");
+            console.log(`[DRY RUN] Would upload attachment: ${fileName}`);
+            entry.id = "DRY_RUN_ATTACHMENT_ID";
           }
         }
       }
 
-      // Finalize description with inline images
-      let finalDescription = payload.description.raw;
+      // Finalize description with inline images and attachment links
       if (attachmentIdMap.size > 0) {
-        for (const [filename, attachmentId] of attachmentIdMap.entries()) {
-          const placeholder = `{{jira-attachment-placeholder:${filename}}}`;
-          const imageTag = `<img class="op-uc-image op-uc-image_inline" src="/api/v3/attachments/${attachmentId}/content">`;
-          finalDescription = finalDescription.replace(placeholder, imageTag);
-        }
+        const finalDescription = replaceAttachmentPlaceholders(
+          payload.description.raw,
+          attachmentIdMap,
+          textFormat
+        );
 
         if (finalDescription !== payload.description.raw) {
-          console.log("Updating work package with inline images.");
-
-          console.log("DEBUG Inline image update:", {
-            workPackageId: workPackage.id,
-            creatorUserId: userMapping[issue.fields.creator.accountId],
-            hasImpersonationUser: !!commentUserMapping[userMapping[issue.fields.creator.accountId]]
-          });
+          console.log("Updating work package with inline attachments.");
 
           const inlineUpdateUser =
-            commentUserMapping[userMapping[issue.fields.creator.accountId]];
+            commentUserMapping[userMapping[getJiraUserId(issue.fields.creator)]];
 
           if (isProd) {
-            if (inlineUpdateUser) {
-              console.log(`DEBUG: Inline update as impersonated user: ${inlineUpdateUser.login}`);
-              await updateWorkPackageAsUser(workPackage.id, {
+            await updateWorkPackage(
+              workPackage.id,
+              {
                 description: {
-                  format: "html",
+                  format: textFormat,
                   raw: finalDescription,
                 },
-              }, inlineUpdateUser);
-            } else {
-              console.log("DEBUG: Inline update using default API user (no impersonation available)");
-              await updateWorkPackage(workPackage.id, {
-                description: {
-                  format: "html",
-                  raw: finalDescription,
-                },
-              });
-            }
+              },
+              inlineUpdateUser
+            );
           } else {
             console.log(
               "[DRY RUN] Would perform second update for description:",
@@ -367,10 +895,23 @@ async function migrateIssues(
       }
 
       // Process comments
-      if (issue.fields.comment && issue.fields.comment.comments.length > 0) {
+      const { comments: jiraComments, fetched: commentsFetched } =
+        await getCompleteComments(issue);
+      if (jiraComments.length > 0) {
+        commentCounts.push({
+          key: issue.key,
+          count: jiraComments.length,
+          fetched: commentsFetched,
+        });
+
         const existingComments = isProd
           ? await getExistingComments(workPackage.id)
           : [];
+        if (!existingComments) {
+          throw new Error(
+            "could not check which comments were already migrated"
+          );
+        }
         const commentMap = new Map();
         const jiraCommentIdRegex = /<!-- jira-comment-id: (\d+) -->/;
 
@@ -381,11 +922,13 @@ async function migrateIssues(
           }
         }
 
-        for (const jiraComment of issue.fields.comment.comments) {
+        for (const jiraComment of jiraComments) {
 
-          console.log(`jiraComment.author.accountId: ${jiraComment.author.accountId}.`);
+          const jiraAuthorId = getJiraUserId(jiraComment.author);
 
-          const openProjectUserId = userMapping[jiraComment.author.accountId];
+          console.log(`Jira comment author: ${jiraAuthorId}.`);
+
+          const openProjectUserId = userMapping[jiraAuthorId];
 
           console.log(`openProjectUserId: ${openProjectUserId}.`);
 
@@ -407,63 +950,114 @@ async function migrateIssues(
             continue;
           }
 
-          let commentHtml = convertAtlassianDocumentToHtml(jiraComment.body);
-          if (commentHtml) {
-             if (attachmentIdMap.size > 0) {
-                for (const [filename, attachmentId] of attachmentIdMap.entries()) {
-                    const placeholder = `{{jira-attachment-placeholder:${filename}}}`;
-                    const imageTag = `<img class="op-uc-image op-uc-image_inline" src="/api/v3/attachments/${attachmentId}/content">`;
-                    commentHtml = commentHtml.replace(placeholder, imageTag);
-                }
+          const rewrittenComment = await convertIssueText(
+            jiraComment.body,
+            issue,
+            {
+              textFormat,
+              unmappedMentions,
+              knownWorkPackages: issueToWorkPackageMap,
+              sanitizerReport,
+            }
+          );
+          rewrittenLinkCount += rewrittenComment.rewritten;
+          const commentBody = replaceAttachmentPlaceholders(
+            rewrittenComment.text,
+            attachmentIdMap,
+            textFormat
+          );
+          if (commentBody) {
+            if (rewrittenComment.unresolved.length > 0) {
+              queuedLinkCount += rewrittenComment.unresolved.length;
+              if (isProd) {
+                queueUnresolvedLinks(linkQueue, {
+                  workPackageId: workPackage.id,
+                  target: "comment",
+                  jiraCommentId: jiraComment.id,
+                  format: textFormat,
+                  keys: rewrittenComment.unresolved,
+                });
+              }
             }
 
-            const author = jiraComment.author.displayName;
-            const date = new Date(jiraComment.created).toLocaleString();
-            //const fullCommentHtml = `<p><em>${author} wrote on ${date}:</em></p>${commentHtml}<!-- jira-comment-id: ${jiraComment.id} -->`;
-            const fullCommentHtml = `${commentHtml}<!-- jira-comment-id: ${jiraComment.id} -->`;
+            // Comments posted by the API user name their original author
+            const header = opUser
+              ? ""
+              : renderCommentHeader(jiraComment, issue, textFormat);
+            // Markdown blocks like code fences must be closed before the marker
+            const separator = textFormat === "markdown" ? "\n\n" : "";
+            const fullComment = `${header ? `${header}${separator}` : ""}${commentBody}${separator}<!-- jira-comment-id: ${jiraComment.id} -->`;
 
             console.log(`Adding new comment for Jira ID ${jiraComment.id}`);
 
             if (isProd) {
-              if (opUser) {
-                console.log(`DEBUG: Adding comment as impersonated user: ${opUser.login}`);
-
-                const returned = await addCommentAsUser(workPackage.id, fullCommentHtml, opUser);
-
-                if (returned && returned.journal_id) {
-
-                  let existing = commentTimestampQueue.find(
-                      e => e.journal_id === returned.journal_id ||
-                          e.jira_comment_id === jiraComment.id
-                  );
-
-                  if (existing) {
-                    existing.journal_id = returned.journal_id;
-                    existing.jira_comment_id = jiraComment.id;
-                    existing.created_at = jiraComment.created;
-                  } else {
-                    commentTimestampQueue.push({
-                      journal_id: returned.journal_id,
-                      jira_comment_id: jiraComment.id,
-                      created_at: jiraComment.created
-                    });
-                  }
-                }
+              const returned = await addComment(
+                workPackage.id,
+                fullComment,
+                textFormat,
+                opUser
+              );
 
-              } else {
-                console.log("DEBUG: No impersonation possible → using default addComment()");
-                await addComment(workPackage.id, fullCommentHtml);
+              // Impersonated comments get their Jira timestamp later, see
+              // apply-comment-timestamps.js
+              if (opUser && returned?.journal_id) {
+                const existing = commentTimestampQueue.find(
+                  (e) =>
+                    e.journal_id === returned.journal_id ||
+                    e.jira_comment_id === jiraComment.id
+                );
+
+                if (existing) {
+                  existing.journal_id = returned.journal_id;
+                  existing.jira_comment_id = jiraComment.id;
+                  existing.created_at = jiraComment.created;
+                } else {
+                  commentTimestampQueue.push({
+                    journal_id: returned.journal_id,
+                    jira_comment_id: jiraComment.id,
+                    created_at: jiraComment.created,
+                  });
+                }
               }
             } else {
               console.log(
                 `[DRY RUN] Would add new comment:`,
-                fullCommentHtml
+                fullComment
               );
             }
           }
         }
       }
 
+      // Process worklogs
+      const worklogStats = await migrateWorklogs(issue, workPackage.id, isProd);
+      worklogTotals.created += worklogStats.created;
+      worklogTotals.skipped += worklogStats.skipped;
+      worklogTotals.failed += worklogStats.failed;
+
+      // Process remote links
+      try {
+        const remoteLinkStats = await migrateRemoteLinks(
+          issue,
+          workPackage.id,
+          isProd,
+          {
+            textFormat,
+            knownWorkPackages: issueToWorkPackageMap,
+            runIssueKeys,
+            pendingRelations: pendingRemoteLinkRelations,
+          }
+        );
+        remoteLinkTotals.links += remoteLinkStats.links;
+        remoteLinkTotals.relations += remoteLinkStats.relations;
+      } catch (error) {
+        console.error(
+          `Failed to migrate remote links of ${issue.key}:`,
+          error.message
+        );
+        remoteLinkTotals.failed++;
+      }
+
       // Add watchers if any
       if (issue.fields.watches?.watchCount > 0) {
         console.log("Adding watchers");
@@ -495,6 +1089,40 @@ async function migrateIssues(
     }
   }
 
+  // Relate remote links to issues that were migrated after the linking one.
+  // Links whose issue failed are left for the next run.
+  for (const pending of pendingRemoteLinkRelations) {
+    const { issueKey, workPackageId, linkedKey } = pending;
+    const linkedWorkPackageId = issueToWorkPackageMap.get(linkedKey);
+    if (!linkedWorkPackageId) {
+      console.warn(
+        `Remote link from ${issueKey} to ${linkedKey} not migrated: ${linkedKey} has no work package`
+      );
+      remoteLinkTotals.failed++;
+      continue;
+    }
+    try {
+      await relateRemoteLink(
+        workPackageId,
+        linkedWorkPackageId,
+        linkedKey,
+        isProd
+      );
+      remoteLinkTotals.relations++;
+    } catch (error) {
+      console.error(
+        `Failed to relate ${issueKey} to ${linkedKey}:`,
+        error.message
+      );
+      remoteLinkTotals.failed++;
+    }
+  }
+
+  // Close the versions of released versions and completed sprints
+  if (versionContext) {
+    await finalizeVersions(versionContext, isProd);
+  }
+
   // Clean up temp directory
   if (isProd && fs.existsSync(tempDir)) {
     fs.rmSync(tempDir, { recursive: true });
@@ -511,89 +1139,206 @@ async function migrateIssues(
     console.error("Failed to write comment-timestamps.json:", err.message);
   }
 
+  if (isProd) {
+    saveLinkQueue(linkQueue);
+  }
+
   console.log("\nMigration summary:");
+  if (options.jqlFilter) {
+    console.log(`JQL filter: ${options.jqlFilter}`);
+  }
   console.log(`Total issues processed: ${processed + skipped}`);
   console.log(`Completed: ${processed}`);
   console.log(`Skipped: ${skipped}`);
   console.log(`Errors: ${errors}`);
   console.log(`UNKNOWN statuses assigned: ${unknownStatusCount}`);
+  if (versionContext) {
+    console.log(
+      `Versions: ${versionContext.created} created, ${versionContext.reused} reused, assigned to ${versionAssignedCount} work packages (precedence: ${versionPrecedence})`
+    );
+  }
+  console.log(
+    `Time entries: ${worklogTotals.created} created, ${worklogTotals.skipped} already migrated, ${worklogTotals.failed} failed`
+  );
+  console.log(
+    `Remote links: ${remoteLinkTotals.links} posted as comments, ${remoteLinkTotals.relations} became relations, ${remoteLinkTotals.failed} failed`
+  );
+
+  console.log(
+    `Jira references: ${rewrittenLinkCount} rewritten, ${queuedLinkCount} queued`
+  );
+  if (queuedLinkCount > 0) {
+    console.log(
+      "Run `npm run rewrite-links` once the referenced issues are migrated."
+    );
+  }
+
+  printFieldMappingReport(fieldMappingReport);
+
+  if (unmappedMentions.size > 0) {
+    console.log("\nMentions of unmapped Jira users (kept as plain text):");
+    for (const [name, issueKeys] of unmappedMentions.entries()) {
+      console.log(`- @${name} (${Array.from(issueKeys).join(", ")})`);
+    }
+  }
+
+  if (sanitizerReport.size > 0) {
+    console.log("\nUnsafe content removed from descriptions and comments:");
+    for (const [key, count] of sanitizerReport.entries()) {
+      console.log(`- ${key}: ${count}`);
+    }
+  }
+
+  const unsupportedAdfTypes = getUnsupportedAdfTypes();
+  if (unsupportedAdfTypes.length > 0) {
+    console.log(
+      `\nUnsupported Jira content (kept as markers): ${unsupportedAdfTypes.join(
+        ", "
+      )}`
+    );
+  }
+
+  if (commentCounts.length > 0) {
+    const totalComments = commentCounts.reduce((sum, c) => sum + c.count, 0);
+    console.log(
+      `\nComments per issue (${totalComments} in ${commentCounts.length} issues):`
+    );
+    commentCounts.forEach(({ key, count, fetched }) => {
+      console.log(
+        `- ${key}: ${count}${fetched ? " (complete thread fetched from Jira)" : ""}`
+      );
+    });
+  }
 
   return issueToWorkPackageMap;
 }
 
-function convertAtlassianDocumentToHtml(doc) {
-  if (!doc) {
-    return "";
-  }
-  if (typeof doc === "string") {
-    return `<p>${doc}</p>`;
+// Convert a description or comment body of an issue, remove unsafe markup
+// and point its Jira references to the migrated work packages. Removed
+// markup is logged and counted per issue in sanitizerReport.
+// Returns the rewriteJiraLinks result.
+async function convertIssueText(
+  doc,
+  issue,
+  { textFormat, unmappedMentions, knownWorkPackages, sanitizerReport }
+) {
+  const attachments = issue.fields.attachment || [];
+  const converted = convertRichText(doc, textFormat, {
+    userMapping,
+    getUserName: (userId) => getOpenProjectUserById(userId)?.name,
+    issueKey: issue.key,
+    unmappedMentions,
+    attachments,
+    mediaAttachments: await resolveMediaAttachments(doc, attachments),
+  });
+
+  const sanitized =
+    textFormat === "html"
+      ? sanitizeHtml(converted)
+      : sanitizeMarkdown(converted);
+  if (sanitized.rejected.length > 0) {
+    console.warn(
+      `${issue.key}: removed unsafe content: ${sanitized.rejected.join(", ")}`
+    );
+    sanitizerReport?.set(
+      issue.key,
+      (sanitizerReport.get(issue.key) || 0) + sanitized.rejected.length
+    );
   }
 
-  function processNode(node) {
-    if (!node || !node.type) return "";
+  return rewriteJiraLinks(sanitized.text, {
+    format: textFormat,
+    knownWorkPackages,
+  });
+}
 
-    let content = "";
-    if (node.content) {
-      content = node.content.map(processNode).join("");
+// Jira allows several attachments with the same name on one issue. The
+// oldest keeps its name, later ones get their Jira ID appended, so re-runs
+// find them again. Returns Map(Jira attachment ID -> file name).
+function getAttachmentFileNames(attachments) {
+  const fileNames = new Map();
+  const usedNames = new Set();
+  const byId = [...attachments].sort((a, b) => Number(a.id) - Number(b.id));
+  for (const attachment of byId) {
+    let fileName = attachment.filename;
+    if (usedNames.has(fileName)) {
+      const extension = path.extname(fileName);
+      fileName = `${path.basename(fileName, extension)} (${attachment.id})${extension}`;
     }
+    usedNames.add(fileName);
+    fileNames.set(String(attachment.id), fileName);
+  }
+  return fileNames;
+}
 
-    switch (node.type) {
-      case "doc":
-        return content;
-      case "paragraph":
-        return `<p>${content || "&nbsp;"}</p>`;
-      case "text":
-        let text = node.text.replace(/</g, "&lt;").replace(/>/g, "&gt;");
-        if (node.marks) {
-          node.marks.forEach((mark) => {
-            if (mark.type === "strong") {
-              text = `<strong>${text}</strong>`;
-            } else if (mark.type === "em") {
-              text = `<em>${text}</em>`;
-            } else if (mark.type === "code") {
-              text = `<code>${text}</code>`;
-            } else if (mark.type === "link") {
-              text = `<a href="${mark.attrs.href}">${text}</a>`;
-            }
-          });
-        }
-        return text;
-      case "bulletList":
-        return `<ul>${content}</ul>`;
-      case "orderedList":
-        return `<ol>${content}</ol>`;
-      case "listItem":
-        return `<li>${content}</li>`;
-      case "heading":
-        const level = node.attrs.level || 1;
-        return `<h${level}>${content}</h${level}>`;
-      case "codeBlock":
-        return `<pre><code>${content}</code></pre>`;
-      case "blockquote":
-        return `<blockquote>${content}</blockquote>`;
-      case "hardBreak":
-        return "<br />";
-      case "table":
-        return `<table><tbody>${content}</tbody></table>`;
-      case "tableRow":
-        return `<tr>${content}</tr>`;
-      case "tableHeader":
-        return `<th>${content}</th>`;
-      case "tableCell":
-        return `<td>${content}</td>`;
-      case "mediaSingle":
-        return `<p>${content}</p>`;
-      case "media":
-        if (node.attrs.type === "file" && node.attrs.alt) {
-          return `{{jira-attachment-placeholder:${node.attrs.alt}}}`;
-        }
-        return "";
-      default:
-        return content;
+function collectMediaAttrs(node, result = []) {
+  if (!node || typeof node !== "object") return result;
+  if (["media", "mediaInline"].includes(node.type) && node.attrs) {
+    result.push(node.attrs);
+  }
+  (node.content || []).forEach((child) => collectMediaAttrs(child, result));
+  return result;
+}
+
+// Jira attachment ID -> media file ID, see getAttachmentMediaId()
+const attachmentMediaIds = new Map();
+
+/**
+ * Media nodes of Jira Cloud documents reference media file IDs, which aren't
+ * part of the attachment metadata. When a media node can't be matched by
+ * attachment ID or a unique file name, the media IDs of the attachments are
+ * looked up. Returns Map(media ID -> attachment).
+ */
+async function resolveMediaAttachments(doc, attachments) {
+  const mediaAttachments = new Map();
+  if (!isJiraCloud || !doc || typeof doc !== "object") {
+    return mediaAttachments;
+  }
+
+  const unresolved = collectMediaAttrs(doc).filter((attrs) => {
+    if (attrs.type !== "file") return false;
+    if (attachments.some((a) => String(a.id) === String(attrs.id))) {
+      return false;
     }
+    const name = attrs.alt || attrs.__fileName;
+    return attachments.filter((a) => a.filename === name).length !== 1;
+  });
+  if (unresolved.length === 0) return mediaAttachments;
+
+  for (const attachment of attachments) {
+    if (!attachmentMediaIds.has(attachment.id)) {
+      attachmentMediaIds.set(
+        attachment.id,
+        await getAttachmentMediaId(attachment.id)
+      );
+    }
+    const mediaId = attachmentMediaIds.get(attachment.id);
+    if (mediaId) mediaAttachments.set(mediaId, attachment);
   }
+  return mediaAttachments;
+}
 
-  return processNode(doc);
+// Replace the attachment placeholders with the uploaded attachments: images
+// are shown inline, other files become download links
+function replaceAttachmentPlaceholders(text, attachmentIdMap, format) {
+  return text.replace(/\{\{jira-attachment:([^}]+)\}\}/g, (placeholder, jiraId) => {
+    const attachment = attachmentIdMap.get(jiraId);
+    if (!attachment) return placeholder;
+    if (!attachment.id) {
+      return format === "html"
+        ? escapeHtml(attachment.fileName)
+        : escapeMarkdown(attachment.fileName);
+    }
+
+    const src = `/api/v3/attachments/${attachment.id}/content`;
+    const isImage = String(attachment.mimeType || "").startsWith("image/");
+    if (format === "html") {
+      return isImage
+        ? `<img class="op-uc-image op-uc-image_inline" src="${src}" alt="${escapeHtml(attachment.fileName)}">`
+        : `<a href="${src}">${escapeHtml(attachment.fileName)}</a>`;
+    }
+    return `${isImage ? "!" : ""}[${escapeMarkdown(attachment.fileName)}](${src})`;
+  });
 }
 
 module.exports = {
@@ -1,25 +1,43 @@
 require("dotenv").config();
-const axios = require("axios");
 const path = require("path");
 const fs = require("fs");
+const {
+  isJiraCloud,
+  jiraConfig,
+  getJiraSiteUrl,
+  getJiraUserId,
+  getAuthHints,
+} = require("./jira-flavor");
+const {
+  createHttpClient,
+  getRequestsPerSecond,
+  HTTP_TRANSFER_TIMEOUT_MS,
+} = require("./http-client");
 
-// Jira API configuration
-const jiraConfig = {
-  baseURL: `https://${process.env.JIRA_HOST}/rest/api/3`,
-  auth: {
-    username: process.env.JIRA_EMAIL,
-    password: process.env.JIRA_API_TOKEN,
-  },
-};
+const jiraRequestsPerSecond = getRequestsPerSecond("JIRA_REQUESTS_PER_SECOND");
+
+const jiraApi = createHttpClient({
+  ...jiraConfig,
+  requestsPerSecond: jiraRequestsPerSecond,
+});
 
-const jiraApi = axios.create(jiraConfig);
+// Boards and sprints are only available through the Jira Software API
+const agileApi = createHttpClient({
+  ...jiraConfig,
+  baseURL: `${getJiraSiteUrl()}/rest/agile/1.0`,
+  requestsPerSecond: jiraRequestsPerSecond,
+});
 
 // Create a download client without default content-type
-const downloadClient = axios.create({
+const downloadClient = createHttpClient({
   ...jiraConfig,
   responseType: "arraybuffer",
+  timeout: HTTP_TRANSFER_TIMEOUT_MS,
+  requestsPerSecond: jiraRequestsPerSecond,
 });
 
+// System fields. Custom fields like Epic Link, Sprint and Start date have
+// instance specific IDs and are added by getIssueFields() in jira-fields.js.
 const DEFAULT_FIELDS = [
   "summary",
   "description",
@@ -28,20 +46,85 @@ const DEFAULT_FIELDS = [
   "issuetype",
   "attachment",
   "comment",
+  "worklog",
   "issuelinks",
   "assignee",
   "creator",
+  "reporter",
   "created",
-  "customfield_10014", // Epic Link field
+  "resolution",
+  "resolutiondate",
+  "environment",
   "parent",
   "watches",
+  "fixVersions",
+  "components",
+  "labels",
+  "duedate",
+  "timeoriginalestimate",
+  "timeestimate",
 ].join(",");
 
-async function getAllJiraIssues(projectKey, fields = DEFAULT_FIELDS) {
+// Fetch one page of search results. Cloud pages with an opaque nextPageToken
+// on /search/jql, Server / Data Center with startAt on /search.
+async function searchJiraIssuesPage(jql, fields, maxResults, cursor) {
+  const body = {
+    jql,
+    maxResults,
+    fields: fields.split ? fields.split(",") : fields,
+  };
+
+  if (isJiraCloud) {
+    if (cursor) body.nextPageToken = cursor;
+    // Searching is read-only, so the POST is safe to repeat
+    const response = await jiraApi.post("/search/jql", body, { retry: true });
+    const { issues, nextPageToken } = response.data;
+    return { issues, nextCursor: nextPageToken || null };
+  }
+
+  body.startAt = cursor || 0;
+  const response = await jiraApi.post("/search", body, { retry: true });
+  const { issues = [], startAt, total } = response.data;
+  const nextStartAt = startAt + issues.length;
+  return {
+    issues,
+    nextCursor: issues.length > 0 && nextStartAt < total ? nextStartAt : null,
+  };
+}
+
+// Combine the project restriction with an optional user supplied JQL filter.
+// An ORDER BY clause in the filter replaces the default chronological order.
+function buildProjectJql(projectKey, jqlFilter) {
+  let filter = (jqlFilter || "").trim();
+  let orderBy = "ORDER BY created ASC";
+
+  // Blank out quoted strings, keeping positions, so that e.g.
+  // summary ~ "order by date" isn't taken for an ORDER BY clause
+  const unquoted = filter.replace(/(["'])(?:\\.|(?!\1)[^\\])*\1/g, (literal) =>
+    " ".repeat(literal.length)
+  );
+  const orderByMatch = unquoted.match(/\border\s+by\b[\s\S]*$/i);
+  if (orderByMatch) {
+    orderBy = filter.slice(orderByMatch.index).trim();
+    filter = filter.slice(0, orderByMatch.index).trim();
+  }
+
+  const clauses = [`project = "${projectKey}"`];
+  if (filter) {
+    clauses.push(`(${filter})`);
+  }
+  return `${clauses.join(" AND ")} ${orderBy}`;
+}
+
+async function getAllJiraIssues(
+  projectKey,
+  fields = DEFAULT_FIELDS,
+  jqlFilter = null
+) {
   try {
     let allIssues = [];
     const maxResults = 100;
-    let nextPageToken = undefined;
+    let cursor = null;
 
     // Validate project key
     if (!projectKey) {
@@ -55,18 +138,21 @@ async function getAllJiraIssues(projectKey, fields = DEFAULT_FIELDS) {
       );
     }
 
+    const jql = buildProjectJql(projectKey, jqlFilter);
+    if (jqlFilter) {
+      console.log(`Using JQL: ${jql}`);
+    }
+
     let page = 1;
     while (true) {
       console.log(`Fetching issues page ${page}...`);
       try {
-        const body = {
-          jql: `project = "${projectKey}" ORDER BY created ASC`,
+        const { issues, nextCursor } = await searchJiraIssuesPage(
+          jql,
+          fields,
           maxResults,
-          fields: fields.split ? fields.split(",") : fields,
-        };
-        if (nextPageToken) body.nextPageToken = nextPageToken;
-        const response = await jiraApi.post("/search/jql", body);
-        const { issues, nextPageToken: newToken } = response.data;
+          cursor
+        );
 
         if (!issues || issues.length === 0) {
           if (allIssues.length === 0) {
@@ -76,16 +162,19 @@ async function getAllJiraIssues(projectKey, fields = DEFAULT_FIELDS) {
             console.warn("1. The project key is correct");
             console.warn("2. The project contains issues");
             console.warn("3. You have permission to view issues");
+            if (jqlFilter) {
+              console.warn(`4. The JQL filter matches issues: ${jqlFilter}`);
+            }
           }
           break;
         }
 
         allIssues = allIssues.concat(issues);
-        if (!newToken) {
+        if (!nextCursor) {
           console.log(`Retrieved all ${allIssues.length} issues`);
           break;
         }
-        nextPageToken = newToken;
+        cursor = nextCursor;
         page++;
       } catch (error) {
         if (error.response?.status === 400) {
@@ -93,6 +182,9 @@ async function getAllJiraIssues(projectKey, fields = DEFAULT_FIELDS) {
           console.error("1. Verify the project key exists");
           console.error("2. Check you have access to the project");
           console.error("3. Ensure the project key is in the correct format");
+          if (jqlFilter) {
+            console.error(`4. Check the syntax of the JQL filter: ${jqlFilter}`);
+          }
           if (error.response.data) {
             console.error("\nJira API Error Details:", error.response.data);
           }
@@ -119,29 +211,35 @@ async function getSpecificJiraIssues(
 ) {
   try {
     console.log(`Fetching specific issues: ${issueKeys.join(", ")}...`);
-    const body = {
-      jql: `key in ("${issueKeys.join('","')}")`,
-      maxResults: issueKeys.length,
-      fields: fields.split ? fields.split(",") : fields,
-    };
-    const response = await jiraApi.post("/search/jql", body);
-    return response.data.issues;
+    const { issues } = await searchJiraIssuesPage(
+      `key in ("${issueKeys.join('","')}")`,
+      fields,
+      issueKeys.length
+    );
+    return issues;
   } catch (error) {
     console.error("Error fetching specific Jira issues:", error.message);
     throw error;
   }
 }
 
-async function getJiraUserEmail(accountId) {
+async function getJiraUserEmail(userId) {
   try {
-    console.log(`Fetching email for Jira user with accountId: ${accountId}`);
+    if (!isJiraCloud) {
+      console.log(`Fetching email for Jira user with username: ${userId}`);
+      const response = await jiraApi.get("/user", {
+        params: { username: userId },
+      });
+      return response.data.emailAddress || null;
+    }
+
+    console.log(`Fetching email for Jira user with accountId: ${userId}`);
     const response = await jiraApi.get(`/user/properties/email`, {
       params: {
-        accountId: accountId,
+        accountId: userId,
       },
     });
-    console.log("Jira API response:", response.data);
-    return response.data.value;
+    return response.data.value || null;
   } catch (error) {
     console.error("Error fetching Jira user email:", error.message);
     return null;
@@ -163,6 +261,27 @@ async function downloadAttachment(url, filePath) {
   }
 }
 
+// Jira Cloud keeps attachments in its media service and ADF media nodes
+// reference the media file ID. The attachment content URL redirects to the
+// media file, which reveals that ID.
+async function getAttachmentMediaId(attachmentId) {
+  try {
+    const response = await jiraApi.get(`/attachment/content/${attachmentId}`, {
+      maxRedirects: 0,
+      validateStatus: (status) => status >= 300 && status < 400,
+    });
+    const location = String(response.headers.location || "");
+    const match = location.match(/\/file\/([0-9a-f-]{36})(?:\/|\?|$)/i);
+    return match ? match[1] : null;
+  } catch (error) {
+    console.error(
+      `Error resolving media ID of attachment ${attachmentId}:`,
+      error.message
+    );
+    return null;
+  }
+}
+
 async function listProjects() {
   try {
     const response = await jiraApi.get("/project");
@@ -187,9 +306,9 @@ async function listProjects() {
 
       if (error.response.status === 401) {
         console.error("\nAuthentication failed. Please check:");
-        console.error("1. Your JIRA_EMAIL is correct");
-        console.error("2. Your JIRA_API_TOKEN is valid and not expired");
-        console.error("3. Your JIRA_HOST is correct");
+        getAuthHints().forEach((hint, index) => {
+          console.error(`${index + 1}. ${hint}`);
+        });
       } else if (error.response.status === 403) {
         console.error("\nPermission denied. Please check:");
         console.error("1. Your API token has sufficient permissions");
@@ -215,6 +334,198 @@ async function listProjects() {
   }
 }
 
+// Users are listed through /users/search on Cloud. Server / Data Center needs
+// a search term, and "." matches every username.
+async function getJiraUsers() {
+  const users = [];
+  const maxResults = 1000;
+  let startAt = 0;
+
+  while (true) {
+    const response = isJiraCloud
+      ? await jiraApi.get("/users/search", {
+          params: { startAt, maxResults },
+        })
+      : await jiraApi.get("/user/search", {
+          params: { username: ".", includeInactive: true, startAt, maxResults },
+        });
+
+    const page = response.data || [];
+    users.push(...page);
+    if (page.length < maxResults) break;
+    startAt += page.length;
+  }
+
+  return users.map((user) => ({
+    id: getJiraUserId(user),
+    displayName: user.displayName,
+    emailAddress: user.emailAddress,
+    active: user.active,
+    accountType: user.accountType,
+  }));
+}
+
+// The search response only embeds the first page of comments, so long
+// discussions have to be read from the paginated comment endpoint.
+async function getIssueComments(issueKey) {
+  try {
+    const comments = [];
+    const maxResults = 100;
+    let startAt = 0;
+
+    while (true) {
+      const response = await jiraApi.get(`/issue/${issueKey}/comment`, {
+        params: { startAt, maxResults, orderBy: "created" },
+      });
+      const page = response.data.comments || [];
+      comments.push(...page);
+
+      if (page.length === 0 || comments.length >= response.data.total) {
+        break;
+      }
+      startAt += page.length;
+    }
+
+    console.log(`Fetched ${comments.length} comments for ${issueKey}`);
+    return comments;
+  } catch (error) {
+    console.error(
+      `Error fetching comments for issue ${issueKey}:`,
+      error.message
+    );
+    throw error;
+  }
+}
+
+// Like comments, only the first page of worklogs is embedded in the issue
+async function getIssueWorklogs(issueKey) {
+  try {
+    const worklogs = [];
+    const maxResults = 100;
+    let startAt = 0;
+
+    while (true) {
+      const response = await jiraApi.get(`/issue/${issueKey}/worklog`, {
+        params: { startAt, maxResults },
+      });
+      const page = response.data.worklogs || [];
+      worklogs.push(...page);
+
+      if (page.length === 0 || worklogs.length >= response.data.total) {
+        break;
+      }
+      startAt += page.length;
+    }
+
+    console.log(`Fetched ${worklogs.length} worklogs for ${issueKey}`);
+    return worklogs;
+  } catch (error) {
+    console.error(
+      `Error fetching worklogs for issue ${issueKey}:`,
+      error.message
+    );
+    throw error;
+  }
+}
+
+// All system and custom fields with their IDs, names and schema
+async function getJiraFields() {
+  try {
+    const response = await jiraApi.get("/field");
+    return response.data || [];
+  } catch (error) {
+    console.error("Error fetching Jira fields:", error.message);
+    throw error;
+  }
+}
+
+async function getProjectVersions(projectKey) {
+  try {
+    const response = await jiraApi.get(`/project/${projectKey}/versions`);
+    return response.data || [];
+  } catch (error) {
+    console.error(
+      `Error fetching versions for project ${projectKey}:`,
+      error.message
+    );
+    throw error;
+  }
+}
+
+// Page through an Agile API collection ({ values, isLast })
+async function getAgileCollection(url, params = {}) {
+  const values = [];
+  const maxResults = 50;
+  let startAt = 0;
+
+  while (true) {
+    const response = await agileApi.get(url, {
+      params: { ...params, startAt, maxResults },
+    });
+    const page = response.data.values || [];
+    values.push(...page);
+
+    if (response.data.isLast !== false || page.length === 0) {
+      break;
+    }
+    startAt += page.length;
+  }
+
+  return values;
+}
+
+// Collect the sprints of all scrum boards that show the project
+async function getProjectSprints(projectKey) {
+  let boards = [];
+  try {
+    boards = await getAgileCollection("/board", { projectKeyOrId: projectKey });
+  } catch (error) {
+    console.warn(
+      `Could not fetch boards for project ${projectKey}: ${error.message}`
+    );
+    return [];
+  }
+
+  const sprints = new Map();
+  for (const board of boards.filter((b) => b.type === "scrum")) {
+    try {
+      const boardSprints = await getAgileCollection(`/board/${board.id}/sprint`);
+      for (const sprint of boardSprints) {
+        sprints.set(sprint.id, sprint);
+      }
+    } catch (error) {
+      console.warn(
+        `Could not fetch sprints of board ${board.name} (${board.id}): ${error.message}`
+      );
+    }
+  }
+
+  console.log(
+    `Found ${sprints.size} sprints on ${boards.length} boards of project ${projectKey}`
+  );
+  return Array.from(sprints.values());
+}
+
+// Remote links (Confluence pages, pull requests, web links, ...) of an issue
+async function getIssueRemoteLinks(issueKey) {
+  try {
+    const response = await jiraApi.get(`/issue/${issueKey}/remotelink`);
+    return response.data || [];
+  } catch (error) {
+    console.error(
+      `Error getting remote links for issue ${issueKey}:`,
+      error.message
+    );
+    if (error.response?.data) {
+      console.error(
+        "Error details:",
+        JSON.stringify(error.response.data, null, 2)
+      );
+    }
+    throw error;
+  }
+}
+
 async function getIssueWatchers(issueKey) {
   try {
     console.log(`Fetching watchers for Jira issue ${issueKey}...`);
@@ -247,9 +558,18 @@ async function getIssueWatchers(issueKey) {
 module.exports = {
   getAllJiraIssues,
   getSpecificJiraIssues,
+  buildProjectJql,
   getJiraUserEmail,
+  getJiraUsers,
   downloadAttachment,
+  getAttachmentMediaId,
   listProjects,
+  getIssueComments,
+  getIssueWorklogs,
   getIssueWatchers,
+  getIssueRemoteLinks,
+  getJiraFields,
+  getProjectVersions,
+  getProjectSprints,
   DEFAULT_FIELDS,
 };
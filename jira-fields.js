@@ -0,0 +1,161 @@
+require("dotenv").config();
+const { getJiraFields, DEFAULT_FIELDS } = require("./jira-client");
+
+/**
+ * Catalogue of the Jira fields, loaded once from /field.
+ *
+ * Custom field IDs differ between Jira instances (Epic Link is not always
+ * customfield_10014), so the fields the migration relies on are resolved by
+ * their Jira Software type or name. JIRA_<NAME>_FIELD variables override the
+ * lookup, e.g. JIRA_SPRINT_FIELD=customfield_10104.
+ */
+
+const WELL_KNOWN_FIELDS = {
+  epicLink: {
+    label: "Epic Link",
+    env: "JIRA_EPIC_LINK_FIELD",
+    types: ["com.pyxis.greenhopper.jira:gh-epic-link"],
+    names: ["Epic Link"],
+  },
+  sprint: {
+    label: "Sprint",
+    env: "JIRA_SPRINT_FIELD",
+    types: ["com.pyxis.greenhopper.jira:gh-sprint"],
+    names: ["Sprint"],
+  },
+  storyPoints: {
+    label: "Story Points",
+    env: "JIRA_STORY_POINTS_FIELD",
+    types: ["com.pyxis.greenhopper.jira:jsw-story-points"],
+    names: ["Story Points", "Story point estimate"],
+  },
+  startDate: {
+    label: "Start date",
+    env: "JIRA_START_DATE_FIELD",
+    types: [],
+    names: ["Start date"],
+  },
+};
+
+let catalogue = null;
+const resolvedFields = {};
+
+function matchesName(field, name) {
+  return field.name?.toLowerCase() === String(name).toLowerCase();
+}
+
+function resolveWellKnownField(key) {
+  const definition = WELL_KNOWN_FIELDS[key];
+  const override = process.env[definition.env];
+  if (override) {
+    const field = catalogue.find((f) => f.id === override);
+    if (!field) {
+      console.warn(
+        `${definition.env}=${override} does not exist in Jira, looking up ${definition.label} by name instead`
+      );
+    } else {
+      return field;
+    }
+  }
+
+  return (
+    catalogue.find((f) => definition.types.includes(f.schema?.custom)) ||
+    definition.names
+      .map((name) => catalogue.find((f) => matchesName(f, name)))
+      .find(Boolean) ||
+    null
+  );
+}
+
+async function loadJiraFieldCatalogue() {
+  if (catalogue) return catalogue;
+
+  console.log("\nLoading Jira field catalogue...");
+  catalogue = await getJiraFields();
+
+  for (const [key, definition] of Object.entries(WELL_KNOWN_FIELDS)) {
+    const field = resolveWellKnownField(key);
+    resolvedFields[key] = field;
+    console.log(
+      `- ${definition.label}: ${field ? `${field.id} (${field.name})` : "not found"}`
+    );
+  }
+
+  return catalogue;
+}
+
+function assertLoaded() {
+  if (!catalogue) {
+    throw new Error(
+      "Jira field catalogue not loaded, call loadJiraFieldCatalogue() first"
+    );
+  }
+}
+
+// ID of a well-known field (epicLink, sprint, storyPoints, startDate) or null
+function getJiraFieldId(key) {
+  assertLoaded();
+  return resolvedFields[key]?.id || null;
+}
+
+// Find a field by ID or name. Names of well-known fields also match their
+// aliases, e.g. "Story Points" finds "Story point estimate".
+function findJiraField(idOrName) {
+  assertLoaded();
+
+  const byId = catalogue.find((f) => f.id === idOrName);
+  if (byId) return byId;
+
+  for (const [key, definition] of Object.entries(WELL_KNOWN_FIELDS)) {
+    if (definition.names.some((name) => matchesName({ name }, idOrName))) {
+      if (resolvedFields[key]) return resolvedFields[key];
+    }
+  }
+
+  return catalogue.find((f) => matchesName(f, idOrName)) || null;
+}
+
+/**
+ * Returns the ID of a well-known field, printing a diagnostic when it can't
+ * be found. purpose describes what is skipped without the field.
+ */
+function requireJiraField(key, purpose) {
+  const fieldId = getJiraFieldId(key);
+  if (fieldId) return fieldId;
+
+  const definition = WELL_KNOWN_FIELDS[key];
+  const words = definition.label.toLowerCase().split(" ");
+  const candidates = catalogue.filter((f) =>
+    words.some((word) => f.name?.toLowerCase().includes(word))
+  );
+
+  console.warn(`\nJira field "${definition.label}" not found: ${purpose}`);
+  if (candidates.length > 0) {
+    console.warn("Fields with a similar name:");
+    candidates.forEach((f) => console.warn(`- ${f.id} (${f.name})`));
+  }
+  console.warn(
+    `Set ${definition.env} in your .env file if the field exists under a different name.`
+  );
+  return null;
+}
+
+// Fields to request in searches: the defaults, the resolved well-known
+// fields and any additional field IDs
+async function getIssueFields(extraFieldIds = []) {
+  await loadJiraFieldCatalogue();
+  const wellKnownIds = Object.keys(WELL_KNOWN_FIELDS)
+    .map(getJiraFieldId)
+    .filter(Boolean);
+  return Array.from(
+    new Set([...DEFAULT_FIELDS.split(","), ...wellKnownIds, ...extraFieldIds])
+  ).join(",");
+}
+
+module.exports = {
+  loadJiraFieldCatalogue,
+  getJiraFieldId,
+  findJiraField,
+  requireJiraField,
+  getIssueFields,
+};
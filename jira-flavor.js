@@ -0,0 +1,92 @@
+require("dotenv").config();
+
+/**
+ * Describes the differences between Jira Cloud and Jira Server / Data Center.
+ *
+ * Select the flavor with JIRA_FLAVOR:
+ *   JIRA_FLAVOR=cloud   (default) REST API v3, email + API token, accountId
+ *   JIRA_FLAVOR=server  REST API v2, Personal Access Token, username
+ *
+ * "datacenter" and "dc" are accepted as aliases for "server".
+ */
+
+const SERVER_ALIASES = ["server", "datacenter", "data-center", "dc"];
+
+const JIRA_FLAVOR = SERVER_ALIASES.includes(
+  (process.env.JIRA_FLAVOR || "cloud").trim().toLowerCase()
+)
+  ? "server"
+  : "cloud";
+
+const isJiraCloud = JIRA_FLAVOR === "cloud";
+
+// Self-hosted instances are often served below a context path or over plain
+// HTTP, so JIRA_HOST may also be given as a full URL.
+function getJiraSiteUrl() {
+  const host = (process.env.JIRA_HOST || "").replace(/\/+$/, "");
+  return /^https?:\/\//.test(host) ? host : `https://${host}`;
+}
+
+function getJiraAuthConfig() {
+  if (isJiraCloud) {
+    return {
+      auth: {
+        username: process.env.JIRA_EMAIL,
+        password: process.env.JIRA_API_TOKEN,
+      },
+    };
+  }
+
+  if (process.env.JIRA_PAT) {
+    return {
+      headers: {
+        Authorization: `Bearer ${process.env.JIRA_PAT}`,
+      },
+    };
+  }
+
+  // Fall back to basic auth for instances without Personal Access Tokens
+  return {
+    auth: {
+      username: process.env.JIRA_USERNAME || process.env.JIRA_EMAIL,
+      password: process.env.JIRA_PASSWORD || process.env.JIRA_API_TOKEN,
+    },
+  };
+}
+
+const jiraConfig = {
+  baseURL: `${getJiraSiteUrl()}/rest/api/${isJiraCloud ? 3 : 2}`,
+  ...getJiraAuthConfig(),
+};
+
+// Cloud identifies users by accountId, Server / Data Center by username
+// (falling back to the user key for renamed or anonymised users).
+function getJiraUserId(jiraUser) {
+  if (!jiraUser) return null;
+  if (isJiraCloud) return jiraUser.accountId || null;
+  return jiraUser.name || jiraUser.key || null;
+}
+
+function getAuthHints() {
+  if (isJiraCloud) {
+    return [
+      "Your JIRA_EMAIL is correct",
+      "Your JIRA_API_TOKEN is valid and not expired",
+      "Your JIRA_HOST is correct",
+    ];
+  }
+  return [
+    "Your JIRA_PAT (or JIRA_USERNAME / JIRA_PASSWORD) is valid and not expired",
+    "Your JIRA_HOST is correct, including any context path",
+    "JIRA_FLAVOR=server matches your Jira deployment",
+  ];
+}
+
+module.exports = {
+  JIRA_FLAVOR,
+  isJiraCloud,
+  jiraConfig,
+  getJiraSiteUrl,
+  getJiraUserId,
+  getAuthHints,
+};
@@ -0,0 +1,617 @@
+/**
+ * Parser for Jira wiki markup, the rich text format of Jira Server / Data
+ * Center and the REST API v2.
+ *
+ * The markup is parsed into an Atlassian Document Format (ADF) document, so
+ * descriptions and comments from both APIs go through the same HTML and
+ * Markdown conversion. !file.png! images become media nodes and therefore
+ * resolve to the uploaded attachments like ADF images do.
+ */
+
+// Emoticons Jira renders as icons
+const EMOTICONS = {
+  ":)": ["slight_smile", "🙂"],
+  ":(": ["slight_frown", "🙁"],
+  ":P": ["stuck_out_tongue", "😛"],
+  ":D": ["grinning", "😀"],
+  ";)": ["wink", "😉"],
+  "(y)": ["thumbsup", "👍"],
+  "(n)": ["thumbsdown", "👎"],
+  "(i)": ["information_source", "ℹ️"],
+  "(/)": ["white_check_mark", "✅"],
+  "(x)": ["x", "❌"],
+  "(!)": ["warning", "⚠️"],
+  "(+)": ["heavy_plus_sign", "➕"],
+  "(-)": ["heavy_minus_sign", "➖"],
+  "(?)": ["question", "❓"],
+  "(on)": ["bulb", "💡"],
+  "(off)": ["bulb", "💡"],
+  "(*)": ["star", "⭐"],
+  "(*r)": ["star", "⭐"],
+  "(*g)": ["star", "⭐"],
+  "(*b)": ["star", "⭐"],
+  "(*y)": ["star", "⭐"],
+  "(flag)": ["triangular_flag_on_post", "🚩"],
+  "(flagoff)": ["triangular_flag_on_post", "🚩"],
+};
+
+// Longest emoticons first, so (*r) wins over (*)
+const EMOTICON_TOKENS = Object.keys(EMOTICONS).sort(
+  (a, b) => b.length - a.length
+);
+
+// Text effects and the ADF mark they produce
+const TEXT_EFFECTS = {
+  "*": { type: "strong" },
+  _: { type: "em" },
+  "??": { type: "em" },
+  "-": { type: "strike" },
+  "+": { type: "underline" },
+  "^": { type: "subsup", attrs: { type: "sup" } },
+  "~": { type: "subsup", attrs: { type: "sub" } },
+};
+
+// Block macros with a body, and the ADF panel type of the admonitions
+const PANEL_MACROS = {
+  info: "info",
+  note: "note",
+  warning: "warning",
+  tip: "success",
+};
+
+const URL_PATTERN = /^(https?|ftp|mailto|file):\/?\/?[^\s|\]]+/i;
+
+function isWordChar(char) {
+  return !!char && /[\p{L}\p{N}]/u.test(char);
+}
+
+// key=value|key=value parameters of a macro. A parameter without "=" is
+// returned as the default parameter, e.g. the language of {code:java}.
+function parseMacroParams(params) {
+  const result = {};
+  if (!params) return result;
+  for (const param of params.split("|")) {
+    const separator = param.indexOf("=");
+    if (separator === -1) {
+      result.default = param.trim();
+    } else {
+      result[param.slice(0, separator).trim()] = param
+        .slice(separator + 1)
+        .trim();
+    }
+  }
+  return result;
+}
+
+function text(value, marks = []) {
+  const node = { type: "text", text: value };
+  if (marks.length > 0) node.marks = marks;
+  return node;
+}
+
+// Merge neighbouring text nodes that carry the same marks
+function mergeTextNodes(nodes) {
+  const merged = [];
+  for (const node of nodes) {
+    const previous = merged[merged.length - 1];
+    if (
+      previous?.type === "text" &&
+      node.type === "text" &&
+      JSON.stringify(previous.marks || []) === JSON.stringify(node.marks || [])
+    ) {
+      previous.text += node.text;
+    } else {
+      merged.push(node);
+    }
+  }
+  return merged;
+}
+
+// Superscript and subscript may be part of a word, as in x^2^ or H~2~O
+function isInWordEffect(delimiter) {
+  return delimiter === "^" || delimiter === "~";
+}
+
+// Index of the closing delimiter of a text effect opened at start, or -1
+function findClosingEffect(source, start, delimiter) {
+  let index = start + delimiter.length + 1;
+  while (index < source.length) {
+    index = source.indexOf(delimiter, index);
+    if (index === -1) return -1;
+    const before = source[index - 1];
+    const after = source[index + delimiter.length];
+    if (
+      before &&
+      !/\s/.test(before) &&
+      (isInWordEffect(delimiter) || !isWordChar(after))
+    ) {
+      return index;
+    }
+    index += delimiter.length;
+  }
+  return -1;
+}
+
+// !file.png|thumbnail! or !https://example.com/image.png!
+function parseImage(body) {
+  const [source] = body.split("|");
+  const name = source.trim();
+  if (URL_PATTERN.test(name)) {
+    return {
+      type: "mediaSingle",
+      content: [{ type: "media", attrs: { type: "external", url: name } }],
+    };
+  }
+  // The attachment placeholder resolves file names, like ADF alt texts
+  return {
+    type: "mediaSingle",
+    content: [{ type: "media", attrs: { type: "file", alt: name } }],
+  };
+}
+
+function parseLink(body, marks) {
+  if (body.startsWith("~")) {
+    // [~username] on Server, [~accountid:...] on Cloud
+    const id = body.slice(1).replace(/^accountid:/, "");
+    return [{ type: "mention", attrs: { id, text: `@${id}` } }];
+  }
+  if (body.startsWith("^")) {
+    return [
+      { type: "mediaInline", attrs: { type: "file", alt: body.slice(1).trim() } },
+    ];
+  }
+
+  const separator = body.lastIndexOf("|");
+  const label = separator === -1 ? null : body.slice(0, separator);
+  const target = (separator === -1 ? body : body.slice(separator + 1)).trim();
+  if (target.startsWith("#")) {
+    // Anchors don't survive the migration, keep the text
+    return parseInline(label || target.slice(1), marks);
+  }
+  const href = /^[\w.+-]+@[\w-]+\.[\w.-]+$/.test(target)
+    ? `mailto:${target}`
+    : target;
+  const linkMarks = [...marks, { type: "link", attrs: { href } }];
+  return label ? parseInline(label, linkMarks) : [text(target, linkMarks)];
+}
+
+/**
+ * Parses the inline markup of a paragraph, heading, list item or table cell
+ * into ADF inline nodes.
+ */
+function parseInline(source, marks = []) {
+  const nodes = [];
+  let plain = "";
+  const flush = () => {
+    if (plain) nodes.push(text(plain, marks));
+    plain = "";
+  };
+
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    const rest = source.slice(i);
+
+    // Forced line break
+    if (rest.startsWith("\\\\")) {
+      flush();
+      nodes.push({ type: "hardBreak" });
+      i += 2;
+      continue;
+    }
+    if (char === "\n") {
+      flush();
+      nodes.push({ type: "hardBreak" });
+      i += 1;
+      continue;
+    }
+
+    // Escaped character
+    if (char === "\\" && i + 1 < source.length) {
+      plain += source[i + 1];
+      i += 2;
+      continue;
+    }
+
+    // Monospace
+    if (rest.startsWith("{{")) {
+      const end = source.indexOf("}}", i + 2);
+      if (end > i + 2) {
+        flush();
+        nodes.push(text(source.slice(i + 2, end), [{ type: "code" }]));
+        i = end + 2;
+        continue;
+      }
+    }
+
+    // Colored text
+    const color = rest.match(/^\{color:([^}]+)\}/);
+    if (color) {
+      const end = source.indexOf("{color}", i + color[0].length);
+      if (end !== -1) {
+        flush();
+        nodes.push(
+          ...parseInline(source.slice(i + color[0].length, end), [
+            ...marks,
+            { type: "textColor", attrs: { color: color[1].trim() } },
+          ])
+        );
+        i = end + "{color}".length;
+        continue;
+      }
+    }
+
+    // Links, mentions and attachment links
+    if (char === "[") {
+      const end = source.indexOf("]", i + 1);
+      if (end > i + 1 && !source.slice(i + 1, end).includes("\n")) {
+        flush();
+        nodes.push(...parseLink(source.slice(i + 1, end), marks));
+        i = end + 1;
+        continue;
+      }
+    }
+
+    // Images
+    if (char === "!" && source[i + 1] && !/[\s!]/.test(source[i + 1])) {
+      const end = source.indexOf("!", i + 1);
+      const body = end === -1 ? "" : source.slice(i + 1, end);
+      if (body && !body.includes("\n") && /[./]/.test(body)) {
+        flush();
+        nodes.push(parseImage(body));
+        i = end + 1;
+        continue;
+      }
+    }
+
+    // Emoticons
+    const emoticon = EMOTICON_TOKENS.find((token) => rest.startsWith(token));
+    if (emoticon && !isWordChar(source[i - 1])) {
+      const [shortName, emoji] = EMOTICONS[emoticon];
+      flush();
+      nodes.push({
+        type: "emoji",
+        attrs: { shortName: `:${shortName}:`, text: emoji },
+      });
+      i += emoticon.length;
+      continue;
+    }
+
+    // Bare URLs
+    const url = rest.match(URL_PATTERN);
+    if (url && !isWordChar(source[i - 1])) {
+      const href = url[0].replace(/[.,;:!?)]+$/, "");
+      flush();
+      nodes.push(text(href, [...marks, { type: "link", attrs: { href } }]));
+      i += href.length;
+      continue;
+    }
+
+    // Text effects: the delimiter must not be inside a word
+    const delimiter = rest.startsWith("??") ? "??" : char;
+    if (
+      TEXT_EFFECTS[delimiter] &&
+      (isInWordEffect(delimiter) || !isWordChar(source[i - 1])) &&
+      source[i + delimiter.length] &&
+      !/\s/.test(source[i + delimiter.length])
+    ) {
+      const end = findClosingEffect(source, i, delimiter);
+      if (end !== -1) {
+        flush();
+        nodes.push(
+          ...parseInline(source.slice(i + delimiter.length, end), [
+            ...marks,
+            TEXT_EFFECTS[delimiter],
+          ])
+        );
+        i = end + delimiter.length;
+        continue;
+      }
+    }
+
+    plain += char;
+    i += 1;
+  }
+
+  flush();
+  return mergeTextNodes(nodes);
+}
+
+// Inline content that contains images is split into paragraphs around them
+function toBlocks(inlineNodes) {
+  const blocks = [];
+  let paragraph = [];
+  const flush = () => {
+    // Line breaks next to a block node are part of the markup layout
+    while (paragraph[0]?.type === "hardBreak") paragraph.shift();
+    while (paragraph[paragraph.length - 1]?.type === "hardBreak") {
+      paragraph.pop();
+    }
+    if (paragraph.some((node) => node.type !== "text" || node.text.trim())) {
+      blocks.push({ type: "paragraph", content: paragraph });
+    }
+    paragraph = [];
+  };
+
+  for (const node of inlineNodes) {
+    if (node.type === "mediaSingle") {
+      flush();
+      blocks.push(node);
+    } else {
+      paragraph.push(node);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+// Inline content for places that only take inline nodes (headings, cells)
+function toInline(inlineNodes) {
+  return inlineNodes.flatMap((node) =>
+    node.type === "mediaSingle"
+      ? node.content.map((media) => ({ ...media, type: "mediaInline" }))
+      : [node]
+  );
+}
+
+// Split a table row into its cells, ignoring | inside links, images and macros
+function splitTableRow(line) {
+  const cells = [];
+  let current = null;
+  let depth = 0;
+  let inImage = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (depth === 0 && !inImage && char === "|") {
+      if (current) cells.push(current);
+      const header = line[i + 1] === "|";
+      current = { header, text: "" };
+      if (header) i++;
+      continue;
+    }
+    if (!current) continue;
+    if (char === "\\" && line[i + 1] === "|") {
+      current.text += "|";
+      i++;
+      continue;
+    }
+    if (char === "[" || char === "{") depth++;
+    if ((char === "]" || char === "}") && depth > 0) depth--;
+    if (char === "!" && depth === 0 && line[i - 1] !== "(") inImage = !inImage;
+    current.text += char;
+  }
+
+  // The closing delimiter of a row opens an empty cell
+  if (current && current.text.trim()) cells.push(current);
+  return cells;
+}
+
+function buildTable(rows) {
+  return {
+    type: "table",
+    content: rows.map((row) => ({
+      type: "tableRow",
+      content: splitTableRow(row).map((cell) => ({
+        type: cell.header ? "tableHeader" : "tableCell",
+        content: (() => {
+          const blocks = toBlocks(parseInline(cell.text.trim()));
+          return blocks.length > 0 ? blocks : [{ type: "paragraph", content: [] }];
+        })(),
+      })),
+    })),
+  };
+}
+
+function listType(marker) {
+  return marker === "#" ? "orderedList" : "bulletList";
+}
+
+// Build nested lists from items like { markers: "*#", text }
+function buildLists(items, depth = 0) {
+  const lists = [];
+  let current = null;
+  let i = 0;
+
+  while (i < items.length) {
+    const type = listType(items[i].markers[depth]);
+    if (!current || current.type !== type) {
+      current = { type, content: [] };
+      if (type === "orderedList") current.attrs = { order: 1 };
+      lists.push(current);
+    }
+
+    if (items[i].markers.length === depth + 1) {
+      current.content.push({
+        type: "listItem",
+        content: toBlocks(parseInline(items[i].text)),
+      });
+      i++;
+      continue;
+    }
+
+    let end = i;
+    while (end < items.length && items[end].markers.length > depth + 1) end++;
+    let parent = current.content[current.content.length - 1];
+    if (!parent) {
+      parent = { type: "listItem", content: [] };
+      current.content.push(parent);
+    }
+    parent.content.push(...buildLists(items.slice(i, end), depth + 1));
+    i = end;
+  }
+
+  return lists;
+}
+
+// Body of a block macro like {code}...{code}, which may start and end on the
+// lines of the tags. Returns { body, next } or null when it isn't closed.
+function readMacroBody(lines, start, openTag, name) {
+  const closeTag = `{${name}}`;
+  const first = lines[start].slice(lines[start].indexOf(openTag) + openTag.length);
+  const sameLineEnd = first.indexOf(closeTag);
+  if (sameLineEnd !== -1) {
+    return { body: first.slice(0, sameLineEnd), next: start + 1 };
+  }
+
+  const body = [first];
+  for (let i = start + 1; i < lines.length; i++) {
+    const end = lines[i].indexOf(closeTag);
+    if (end !== -1) {
+      body.push(lines[i].slice(0, end));
+      return { body: body.join("\n"), next: i + 1 };
+    }
+    body.push(lines[i]);
+  }
+  return null;
+}
+
+function titleParagraph(title) {
+  return {
+    type: "paragraph",
+    content: [text(title, [{ type: "strong" }])],
+  };
+}
+
+/**
+ * Parses Jira wiki markup into the block nodes of an ADF document.
+ */
+function parseBlocks(source) {
+  const lines = source.replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push(...toBlocks(parseInline(paragraph.join("\n"))));
+    }
+    paragraph = [];
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (!trimmed) {
+      flushParagraph();
+      i++;
+      continue;
+    }
+
+    // {code}, {noformat}, {quote}, {panel} and admonitions
+    const macro = trimmed.match(
+      /^\{(code|noformat|quote|panel|info|note|warning|tip)(?::([^}]*))?\}/
+    );
+    if (macro) {
+      const [openTag, name, rawParams] = macro;
+      const result = readMacroBody(lines, i, openTag, name);
+      if (result) {
+        flushParagraph();
+        const params = parseMacroParams(rawParams);
+        const body = result.body.replace(/^\n+|\n+$/g, "");
+
+        if (name === "code" || name === "noformat") {
+          if (params.title) blocks.push(titleParagraph(params.title));
+          const codeBlock = {
+            type: "codeBlock",
+            content: body ? [text(body)] : [],
+          };
+          const language = name === "code" && (params.language || params.default);
+          if (language) codeBlock.attrs = { language };
+          blocks.push(codeBlock);
+        } else if (name === "quote") {
+          blocks.push({ type: "blockquote", content: parseBlocks(body) });
+        } else {
+          const content = parseBlocks(body);
+          if (params.title) content.unshift(titleParagraph(params.title));
+          blocks.push(
+            name === "panel"
+              ? { type: "blockquote", content }
+              : {
+                  type: "panel",
+                  attrs: { panelType: PANEL_MACROS[name] },
+                  content,
+                }
+          );
+        }
+        i = result.next;
+        continue;
+      }
+    }
+
+    const heading = trimmed.match(/^h([1-6])\.\s+(.*)$/);
+    if (heading) {
+      flushParagraph();
+      blocks.push({
+        type: "heading",
+        attrs: { level: Number(heading[1]) },
+        content: toInline(parseInline(heading[2])),
+      });
+      i++;
+      continue;
+    }
+
+    if (/^bq\.\s/.test(trimmed)) {
+      flushParagraph();
+      blocks.push({
+        type: "blockquote",
+        content: toBlocks(parseInline(trimmed.replace(/^bq\.\s+/, ""))),
+      });
+      i++;
+      continue;
+    }
+
+    if (/^-{4,}$/.test(trimmed)) {
+      flushParagraph();
+      blocks.push({ type: "rule" });
+      i++;
+      continue;
+    }
+
+    if (/^\|/.test(trimmed)) {
+      flushParagraph();
+      const rows = [];
+      while (i < lines.length && /^\|/.test(lines[i].trim())) {
+        rows.push(lines[i].trim());
+        i++;
+      }
+      blocks.push(buildTable(rows));
+      continue;
+    }
+
+    if (/^[*#-]+\s/.test(trimmed)) {
+      flushParagraph();
+      const items = [];
+      while (i < lines.length && lines[i].trim()) {
+        const item = lines[i].trim().match(/^([*#-]+)\s+(.*)$/);
+        if (item && !/^-{4,}$/.test(lines[i].trim())) {
+          items.push({ markers: item[1].replace(/-/g, "*"), text: item[2] });
+        } else if (items.length > 0 && !/^(\||h[1-6]\.|\{)/.test(lines[i].trim())) {
+          // Continuation line of the previous item
+          items[items.length - 1].text += `\n${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i++;
+      }
+      blocks.push(...buildLists(items));
+      continue;
+    }
+
+    paragraph.push(line);
+    i++;
+  }
+
+  flushParagraph();
+  return blocks;
+}
+
+// Parse Jira wiki markup into an ADF document
+function parseWikiMarkup(source) {
+  return { type: "doc", version: 1, content: parseBlocks(source || "") };
+}
+
+module.exports = {
+  parseWikiMarkup,
+};
@@ -0,0 +1,246 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { listProjects } = require("./jira-client");
+const { getJiraSiteUrl } = require("./jira-flavor");
+const { findWorkPackageIdByJiraKey } = require("./openproject-client");
+const { PROVENANCE_START, PROVENANCE_END } = require("./provenance");
+
+/**
+ * Rewrites Jira issue keys (PROJ-123) and browse URLs
+ * (https://<JIRA_HOST>/browse/PROJ-123) in converted descriptions and
+ * comments to links to the migrated OpenProject work packages.
+ *
+ * Work packages are looked up through the Jira ID custom field across all
+ * projects. References whose work package doesn't exist yet are queued in
+ * link-rewrite-queue.json and rewritten later by rewrite-links.js.
+ *
+ *   LINK_REWRITE_STYLE=hash  (default) keys become #<id>
+ *   LINK_REWRITE_STYLE=url   keys become links to the work package URL
+ */
+
+const LINK_REWRITE_STYLE =
+  (process.env.LINK_REWRITE_STYLE || "").toLowerCase() === "url"
+    ? "url"
+    : "hash";
+
+const queuePath = path.join(__dirname, "link-rewrite-queue.json");
+
+// Jira key -> work package ID (or null) of the lookups so far
+const resolvedKeys = new Map();
+let jiraProjectKeys = null;
+
+// Keys not preceded by a word, path or URL character
+const ISSUE_KEY_PATTERN = /(?<![\w/.#-])([A-Z][A-Z0-9_]+-\d+)(?![\w-])/g;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function getBrowseUrlPattern() {
+  const site = escapeRegExp(getJiraSiteUrl()).replace(/^https?/, "https?");
+  return new RegExp(
+    `${site}/browse/([A-Z][A-Z0-9_]+-\\d+)(?:[?#][^\\s"'<>)\\]]*)?`,
+    "g"
+  );
+}
+
+function getWorkPackageUrl(workPackageId) {
+  return `${process.env.OPENPROJECT_HOST}/work_packages/${workPackageId}`;
+}
+
+// Keys of all Jira projects, so that look-alikes such as UTF-8 are ignored
+async function getJiraProjectKeys() {
+  if (!jiraProjectKeys) {
+    const projects = await listProjects();
+    jiraProjectKeys = new Set(projects.map((project) => project.key));
+  }
+  return jiraProjectKeys;
+}
+
+// Code, HTML comments, tags and Markdown links are handled separately from
+// the text around them
+const MARKDOWN_TOKENS =
+  /<!--[\s\S]*?-->|(`{3,}|~{3,})[^\n]*\n[\s\S]*?\n\1|(`+)[\s\S]*?\2|\[[^\]\n]*\]\([^)\n]*\)|<[^>\n]+>/g;
+const HTML_TOKENS = /<!--[\s\S]*?-->|<[^>]+>/g;
+
+/**
+ * Walks the text and calls replaceUrl for every Jira browse URL and
+ * replaceKey for every issue key in plain text. Keys inside code, links,
+ * mentions and the provenance block are left alone. Returns the rewritten
+ * text.
+ */
+function transformText(text, format, replaceUrl, replaceKey) {
+  const browseUrlPattern = getBrowseUrlPattern();
+  const rewriteUrls = (segment) =>
+    segment.replace(browseUrlPattern, (url, key) => replaceUrl(url, key));
+
+  const tokens = format === "html" ? HTML_TOKENS : MARKDOWN_TOKENS;
+  let codeDepth = 0;
+  let linkDepth = 0;
+  let inProvenance = false;
+  let result = "";
+  let position = 0;
+
+  const rewritePlain = (segment) => {
+    if (codeDepth > 0 || inProvenance) return segment;
+    const withUrls = rewriteUrls(segment);
+    if (linkDepth > 0) return withUrls;
+    // Keys that are part of a rewritten URL are skipped by the pattern
+    return withUrls.replace(ISSUE_KEY_PATTERN, (key) => replaceKey(key));
+  };
+
+  for (const match of text.matchAll(tokens)) {
+    const token = match[0];
+    result += rewritePlain(text.slice(position, match.index));
+    position = match.index + token.length;
+
+    if (token === PROVENANCE_START || token === PROVENANCE_END) {
+      inProvenance = token === PROVENANCE_START;
+    }
+    if (token.startsWith("<!--") || /^(`|~~~)/.test(token) || inProvenance) {
+      result += token;
+      continue;
+    }
+
+    const tag = token.match(/^<(\/?)(a|code|pre|mention)\b/i);
+    if (tag) {
+      const change = tag[1] ? -1 : 1;
+      if (["code", "pre"].includes(tag[2].toLowerCase())) {
+        codeDepth = Math.max(0, codeDepth + change);
+      } else {
+        linkDepth = Math.max(0, linkDepth + change);
+      }
+    }
+    result += codeDepth > 0 && !tag ? token : rewriteUrls(token);
+  }
+
+  return result + rewritePlain(text.slice(position));
+}
+
+async function resolveKey(key, knownWorkPackages) {
+  if (knownWorkPackages?.has(key)) return knownWorkPackages.get(key);
+  if (!resolvedKeys.has(key)) {
+    resolvedKeys.set(key, await findWorkPackageIdByJiraKey(key));
+  }
+  return resolvedKeys.get(key);
+}
+
+/**
+ * Rewrites the Jira references in text. knownWorkPackages (Jira key -> work
+ * package ID) are the issues of the current run, everything else is looked
+ * up in OpenProject.
+ *
+ * Returns { text, rewritten, unresolved: [Jira keys] }
+ */
+async function rewriteJiraLinks(text, { format = "markdown", knownWorkPackages } = {}) {
+  if (!text) return { text, rewritten: 0, unresolved: [] };
+
+  // Collect the references first, the lookups are asynchronous
+  const urlKeys = new Set();
+  const textKeys = new Set();
+  transformText(
+    text,
+    format,
+    (url, key) => {
+      urlKeys.add(key);
+      return url;
+    },
+    (key) => {
+      textKeys.add(key);
+      return key;
+    }
+  );
+  if (urlKeys.size === 0 && textKeys.size === 0) {
+    return { text, rewritten: 0, unresolved: [] };
+  }
+
+  const projectKeys = textKeys.size > 0 ? await getJiraProjectKeys() : new Set();
+  const candidates = new Set([
+    ...urlKeys,
+    ...Array.from(textKeys).filter((key) =>
+      projectKeys.has(key.slice(0, key.lastIndexOf("-")))
+    ),
+  ]);
+
+  const workPackageIds = new Map();
+  for (const key of candidates) {
+    const workPackageId = await resolveKey(key, knownWorkPackages);
+    if (workPackageId) workPackageIds.set(key, workPackageId);
+  }
+
+  let rewritten = 0;
+  const result = transformText(
+    text,
+    format,
+    (url, key) => {
+      if (!workPackageIds.has(key)) return url;
+      rewritten++;
+      return getWorkPackageUrl(workPackageIds.get(key));
+    },
+    (key) => {
+      if (!workPackageIds.has(key)) return key;
+      rewritten++;
+      const workPackageId = workPackageIds.get(key);
+      if (LINK_REWRITE_STYLE === "hash") return `#${workPackageId}`;
+      const url = getWorkPackageUrl(workPackageId);
+      return format === "html"
+        ? `<a href="${url}">${key}</a>`
+        : `[${key}](${url})`;
+    }
+  );
+
+  return {
+    text: result,
+    rewritten,
+    unresolved: Array.from(candidates).filter(
+      (key) => !workPackageIds.has(key)
+    ),
+  };
+}
+
+function loadLinkQueue() {
+  if (!fs.existsSync(queuePath)) return [];
+  try {
+    return JSON.parse(fs.readFileSync(queuePath, "utf8"));
+  } catch (error) {
+    console.error("Failed to load link-rewrite-queue.json:", error.message);
+    return [];
+  }
+}
+
+function saveLinkQueue(queue) {
+  try {
+    fs.writeFileSync(queuePath, JSON.stringify(queue, null, 2));
+  } catch (error) {
+    console.error("Failed to write link-rewrite-queue.json:", error.message);
+  }
+}
+
+/**
+ * Queue the unresolved references of a description or comment.
+ * entry: { workPackageId, target: "description" | "comment", jiraCommentId,
+ *          format, keys }
+ */
+function queueUnresolvedLinks(queue, entry) {
+  const existing = queue.find(
+    (e) =>
+      e.workPackageId === entry.workPackageId &&
+      e.target === entry.target &&
+      e.jiraCommentId === entry.jiraCommentId
+  );
+  if (existing) {
+    existing.keys = Array.from(new Set([...existing.keys, ...entry.keys]));
+    existing.format = entry.format;
+  } else {
+    queue.push(entry);
+  }
+}
+
+module.exports = {
+  rewriteJiraLinks,
+  loadLinkQueue,
+  saveLinkQueue,
+  queueUnresolvedLinks,
+  LINK_REWRITE_STYLE,
+};
@@ -1,40 +1,16 @@
 require("dotenv").config();
-const axios = require("axios");
-
-// Jira API configuration
-const jiraConfig = {
-  baseURL: `https://${process.env.JIRA_HOST}/rest/api/3`,
-  auth: {
-    username: process.env.JIRA_EMAIL,
-    password: process.env.JIRA_API_TOKEN,
-  },
-};
-
-// OpenProject API configuration
-const openProjectConfig = {
-  baseURL: `${process.env.OPENPROJECT_HOST}/api/v3`,
-  headers: {
-    Authorization: `Basic ${Buffer.from(
-      `apikey:${process.env.OPENPROJECT_API_KEY}`
-    ).toString("base64")}`,
-    "Content-Type": "application/json",
-  },
-};
-
-const jiraApi = axios.create(jiraConfig);
-const openProjectApi = axios.create(openProjectConfig);
+const { getJiraUsers: fetchJiraUsers } = require("./jira-client");
+const { isJiraCloud } = require("./jira-flavor");
+const { getCollection } = require("./openproject-client");
 
 async function getJiraUsers() {
   try {
-    const response = await jiraApi.get("/users/search", {
-      params: {
-        maxResults: 1000,
-      },
-    });
+    const users = await fetchJiraUsers();
+    const idLabel = isJiraCloud ? "AccountId" : "Username";
     console.log("\nJira Users:");
     console.log("===========");
-    response.data.forEach((user) => {
-      console.log(`${user.displayName} (AccountId: ${user.accountId})`);
+    users.forEach((user) => {
+      console.log(`${user.displayName} (${idLabel}: ${user.id})`);
     });
   } catch (error) {
     console.error("Error fetching Jira users:", error.message);
@@ -43,10 +19,10 @@ async function getJiraUsers() {
 
 async function getOpenProjectUsers() {
   try {
-    const response = await openProjectApi.get("/users");
+    const users = await getCollection("/users");
     console.log("\nOpenProject Users:");
     console.log("=================");
-    response.data._embedded.elements.forEach((user) => {
+    users.forEach((user) => {
       console.log(`${user.name} (ID: ${user.id}, Email: ${user.email})`);
     });
   } catch (error) {
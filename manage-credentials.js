@@ -0,0 +1,103 @@
+require("dotenv").config();
+const fs = require("fs");
+const {
+  getCredentialsFilePath,
+  readCredentialsFile,
+  writeCredentialsFile,
+} = require("./op-user-api-keys");
+
+/**
+ * Maintains the impersonation credentials file (see op-user-api-keys.js).
+ *
+ *   node manage-credentials.js list
+ *   node manage-credentials.js merge other-credentials.yaml
+ *   node manage-credentials.js remove jdoe 4
+ */
+
+const USAGE = `Usage:
+  node manage-credentials.js list
+  node manage-credentials.js merge <file.json|file.yaml>
+  node manage-credentials.js remove <id|login|email> [...]`;
+
+function redact(apiKey) {
+  const key = String(apiKey);
+  return key.length > 8 ? `****${key.slice(-4)}` : "****";
+}
+
+function loadCredentials(filePath) {
+  return fs.existsSync(filePath) ? readCredentialsFile(filePath) : {};
+}
+
+function listCredentials(filePath) {
+  const credentials = loadCredentials(filePath);
+  const entries = Object.entries(credentials);
+  console.log(`Credentials file: ${filePath}`);
+  if (entries.length === 0) {
+    console.log("No entries.");
+    return;
+  }
+  entries.forEach(([key, entry]) => {
+    const login = entry.login ? `, login: ${entry.login}` : "";
+    console.log(`- ${key}${login}, API key: ${redact(entry.apiKey)}`);
+  });
+
+  const envUsers = Object.keys(process.env).filter((key) =>
+    key.startsWith("OP_API_KEY_USER_")
+  );
+  if (envUsers.length > 0) {
+    console.log(
+      `\n${envUsers.length} users are also configured with OP_API_KEY_USER_<id> variables.`
+    );
+  }
+}
+
+function mergeCredentials(filePath, sourcePath) {
+  const credentials = loadCredentials(filePath);
+  const incoming = readCredentialsFile(sourcePath);
+  let added = 0;
+  let updated = 0;
+  for (const [key, entry] of Object.entries(incoming)) {
+    if (credentials[key]) {
+      updated++;
+    } else {
+      added++;
+    }
+    credentials[key] = { ...credentials[key], ...entry };
+  }
+  writeCredentialsFile(filePath, credentials);
+  console.log(
+    `Merged ${sourcePath} into ${filePath}: ${added} added, ${updated} updated`
+  );
+}
+
+function removeCredentials(filePath, keys) {
+  const credentials = loadCredentials(filePath);
+  for (const key of keys) {
+    if (credentials[key]) {
+      delete credentials[key];
+      console.log(`Removed ${key}`);
+    } else {
+      console.warn(`No entry for ${key}`);
+    }
+  }
+  writeCredentialsFile(filePath, credentials);
+}
+
+const [command, ...args] = process.argv.slice(2);
+const filePath = getCredentialsFilePath();
+
+try {
+  if (command === "list" && args.length === 0) {
+    listCredentials(filePath);
+  } else if (command === "merge" && args.length === 1) {
+    mergeCredentials(filePath, args[0]);
+  } else if (command === "remove" && args.length > 0) {
+    removeCredentials(filePath, args);
+  } else {
+    console.log(USAGE);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error("Error managing credentials:", error.message);
+  process.exit(1);
+}
@@ -7,8 +7,16 @@ const {
   JIRA_ID_CUSTOM_FIELD,
 } = require("./openproject-client");
 
-async function migrateParents(jiraProjectKey, openProjectId, specificIssues) {
+async function migrateParents(
+  jiraProjectKey,
+  openProjectId,
+  specificIssues,
+  jqlFilter = null
+) {
   console.log("Starting parent relationship migration...");
+  if (jqlFilter) {
+    console.log("JQL filter:", jqlFilter);
+  }
 
   // List available projects
   await listProjects();
@@ -42,7 +50,7 @@ async function migrateParents(jiraProjectKey, openProjectId, specificIssues) {
   // Get Jira issues
   const jiraIssues = specificIssues
     ? await getSpecificJiraIssues(jiraProjectKey, specificIssues.split(","))
-    : await getAllJiraIssues(jiraProjectKey);
+    : await getAllJiraIssues(jiraProjectKey, undefined, jqlFilter);
 
   console.log(`Found ${jiraIssues.length} Jira issues to process`);
 
@@ -101,6 +109,9 @@ async function migrateParents(jiraProjectKey, openProjectId, specificIssues) {
 
   // Print summary
   console.log("\nMigration summary:");
+  if (jqlFilter) {
+    console.log(`JQL filter: ${jqlFilter}`);
+  }
   console.log(`Total issues processed: ${processed}`);
   console.log(`Completed: ${completed}`);
   console.log(`Skipped (no parent): ${skipped}`);
@@ -108,17 +119,24 @@ async function migrateParents(jiraProjectKey, openProjectId, specificIssues) {
 }
 
 // Parse command line arguments
-const jiraProjectKey = process.argv[2];
-const openProjectId = process.argv[3];
-const specificIssues = process.argv[4];
-
-if (!jiraProjectKey || !openProjectId) {
+const args = process.argv.slice(2);
+const jqlIndex = args.indexOf("--jql");
+const jqlFilter = jqlIndex !== -1 ? args[jqlIndex + 1] : null;
+const positionalArgs =
+  jqlIndex !== -1
+    ? args.filter((_, index) => index !== jqlIndex && index !== jqlIndex + 1)
+    : args;
+const jiraProjectKey = positionalArgs[0];
+const openProjectId = positionalArgs[1];
+const specificIssues = positionalArgs[2];
+
+if (!jiraProjectKey || !openProjectId || (jqlIndex !== -1 && !jqlFilter)) {
   console.error("Please provide a Jira project key and OpenProject ID");
   console.log(
-    "Usage: node migrate-parents.js PROJECT_KEY PROJECT_ID [ISSUE_KEYS]"
+    'Usage: node migrate-parents.js PROJECT_KEY PROJECT_ID [ISSUE_KEYS] [--jql "JQL_FILTER"]'
   );
   process.exit(1);
 }
 
 // Run the migration
-migrateParents(jiraProjectKey, openProjectId, specificIssues);
+migrateParents(jiraProjectKey, openProjectId, specificIssues, jqlFilter);
@@ -1,21 +1,11 @@
 require("dotenv").config();
 const { createRelationships } = require("./create-relationships");
 const { getAllJiraIssues, getSpecificJiraIssues } = require("./jira-client");
+const { getIssueFields } = require("./jira-fields");
 const {
   getOpenProjectWorkPackages: getOpenProjectWorkPackagesFromClient,
 } = require("./openproject-client");
 
-// OpenProject API configuration
-const openProjectConfig = {
-  baseURL: `${process.env.OPENPROJECT_HOST}/api/v3`,
-  headers: {
-    Authorization: `Basic ${Buffer.from(
-      `apikey:${process.env.OPENPROJECT_API_KEY}`
-    ).toString("base64")}`,
-    "Content-Type": "application/json",
-  },
-};
-
 async function getOpenProjectWorkPackages(projectId) {
   try {
     console.log(`Fetching work packages for project ${projectId}...`);
@@ -39,19 +29,24 @@ async function getOpenProjectWorkPackages(projectId) {
 async function migrateRelationships(
   jiraProjectKey,
   openProjectId,
-  specificIssues = null
+  specificIssues = null,
+  jqlFilter = null
 ) {
   try {
     console.log("\n=== Starting Relationship Migration ===");
+    if (jqlFilter) {
+      console.log("JQL filter:", jqlFilter);
+    }
 
     // Get the mapping of Jira keys to OpenProject IDs
     const mapping = await getOpenProjectWorkPackages(openProjectId);
     console.log(`Found ${Object.keys(mapping).length} mapped work packages`);
 
     // Get Jira issues with their relationships
+    const fields = await getIssueFields();
     const issues = specificIssues
-      ? await getSpecificJiraIssues(jiraProjectKey, specificIssues)
-      : await getAllJiraIssues(jiraProjectKey);
+      ? await getSpecificJiraIssues(jiraProjectKey, specificIssues, fields)
+      : await getAllJiraIssues(jiraProjectKey, fields, jqlFilter);
     console.log(`Found ${issues.length} Jira issues to process`);
 
     // Create relationships
@@ -63,19 +58,28 @@ async function migrateRelationships(
 
 // Parse command line arguments
 const args = process.argv.slice(2);
-const jiraProjectKey = args[0];
-const openProjectId = args[1];
-const specificIssues = args[2] ? args[2].split(",") : null;
+const jqlIndex = args.indexOf("--jql");
+const jqlFilter = jqlIndex !== -1 ? args[jqlIndex + 1] : null;
+const positionalArgs =
+  jqlIndex !== -1
+    ? args.filter((_, index) => index !== jqlIndex && index !== jqlIndex + 1)
+    : args;
+const jiraProjectKey = positionalArgs[0];
+const openProjectId = positionalArgs[1];
+const specificIssues = positionalArgs[2] ? positionalArgs[2].split(",") : null;
 
-if (!jiraProjectKey || !openProjectId) {
+if (!jiraProjectKey || !openProjectId || (jqlIndex !== -1 && !jqlFilter)) {
   console.log(
-    "Usage: node migrate-relationships.js JIRA_PROJECT_KEY OPENPROJECT_ID [ISSUE1,ISSUE2,...]"
+    'Usage: node migrate-relationships.js JIRA_PROJECT_KEY OPENPROJECT_ID [ISSUE1,ISSUE2,...] [--jql "JQL_FILTER"]'
   );
   console.log("Example: node migrate-relationships.js CLD 9");
   console.log(
     "Example with specific issues: node migrate-relationships.js CLD 9 CLD-123,CLD-124"
   );
+  console.log(
+    'Example with a JQL filter: node migrate-relationships.js CLD 9 --jql "component = Backend"'
+  );
   process.exit(1);
 }
 
-migrateRelationships(jiraProjectKey, openProjectId, specificIssues);
+migrateRelationships(jiraProjectKey, openProjectId, specificIssues, jqlFilter);
@@ -52,6 +52,7 @@ async function promptForMigrationOptions() {
           { name: "Full migration", value: "full" },
           { name: "Test migration (no changes in production)", value: "test" },
           { name: "Specific issues", value: "specific" },
+          { name: "Issues matching a JQL filter", value: "jql" },
         ],
       },
     ]);
@@ -59,8 +60,24 @@ async function promptForMigrationOptions() {
     let isProd = false;
     let skipUpdates = false;
     let specificIssues = null;
+    let jqlFilter = null;
 
-    if (migrationType === "full") {
+    if (migrationType === "jql") {
+      // Prompt for the JQL filter
+      const { filter } = await inquirer.prompt([
+        {
+          type: "input",
+          name: "filter",
+          message:
+            'Enter the JQL filter (combined with the project, e.g., component = "Backend" AND created >= 2024-01-01):',
+          validate: (input) =>
+            input.trim() ? true : "Please enter a JQL filter",
+        },
+      ]);
+      jqlFilter = filter.trim();
+    }
+
+    if (migrationType === "full" || migrationType === "jql") {
       // Prompt for update mode
       const { updateMode } = await inquirer.prompt([
         {
@@ -115,7 +132,10 @@ async function promptForMigrationOptions() {
     console.log(`- Jira Project: ${jiraProject}`);
     console.log(`- OpenProject ID: ${openProjectId}`);
     console.log(`- Migration Type: ${migrationType}`);
-    if (migrationType === "full") {
+    if (migrationType === "jql") {
+      console.log(`- JQL Filter: ${jqlFilter}`);
+    }
+    if (migrationType === "full" || migrationType === "jql") {
       console.log(
         `- Update Mode: ${skipUpdates ? "Skip existing" : "Update existing"}`
       );
@@ -146,7 +166,8 @@ async function promptForMigrationOptions() {
       isProd,
       specificIssues,
       skipUpdates,
-      mapResponsible
+      mapResponsible,
+      { jqlFilter }
     );
   } catch (error) {
     console.error("Error during migration setup:", error.message);
@@ -164,12 +185,21 @@ if (args.length > 0) {
   const specificIssues =
     specificIndex !== -1 ? args[specificIndex + 1].split(",") : null;
   const mapResponsible = !args.includes("--no-responsible"); // Default to true unless --no-responsible is specified
+  const jqlIndex = args.indexOf("--jql");
+  const jqlFilter = jqlIndex !== -1 ? args[jqlIndex + 1] : null;
+  const formatIndex = args.indexOf("--format");
+  const textFormat = formatIndex !== -1 ? args[formatIndex + 1] : undefined;
   const jiraProject = args[0];
   const openProjectId = parseInt(args[1]);
 
-  if (!jiraProject || !openProjectId) {
+  if (
+    !jiraProject ||
+    !openProjectId ||
+    (jqlIndex !== -1 && !jqlFilter) ||
+    (formatIndex !== -1 && !["markdown", "html"].includes(textFormat))
+  ) {
     console.log(
-      "Usage: node migrate.js JIRA_PROJECT_KEY OPENPROJECT_ID [--prod] [--skip-updates] [--specific ISSUE1,ISSUE2] [--no-responsible]"
+      'Usage: node migrate.js JIRA_PROJECT_KEY OPENPROJECT_ID [--prod] [--skip-updates] [--specific ISSUE1,ISSUE2] [--jql "JQL_FILTER"] [--format markdown|html] [--no-responsible]'
     );
     process.exit(1);
   }
@@ -182,8 +212,12 @@ if (args.length > 0) {
       isProd,
       specificIssues,
       skipUpdates,
-      mapResponsible
-    );
+      mapResponsible,
+      { jqlFilter, textFormat }
+    ).catch((error) => {
+      console.error("Error during migration:", error.message);
+      process.exit(1);
+    });
   }, 2000);
 } else {
   // Use interactive mode
@@ -1,9 +1,23 @@
 require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
 
 /**
- * Collects user logins + API keys from environment variables.
+ * Collects the logins and API keys of the OpenProject users that content is
+ * created as.
  *
- * Example:
+ * Credentials file (OP_USER_CREDENTIALS_FILE, default
+ * op-user-credentials.json, .yaml or .yml), keyed by OpenProject user ID,
+ * login or email. The value is the API key or { login, apiKey }:
+ *
+ *   4:
+ *     login: marcoherzog
+ *     apiKey: xxx
+ *   jdoe: yyy
+ *   jane@example.com: zzz
+ *
+ * Environment variables (still supported, the file wins on conflicts):
  *   OP_LOGIN_USER_4="marcoherzog"
  *   OP_API_KEY_USER_4="xxx"
  *
@@ -11,28 +25,159 @@ require("dotenv").config();
  *   {
  *     4: { login: "marcoherzog", apiKey: "xxx" }
  *   }
+ *
+ * Entries keyed by login or email are added once the OpenProject users are
+ * known, see resolveActingUsers().
  */
 
+const DEFAULT_CREDENTIALS_FILES = [
+  "op-user-credentials.json",
+  "op-user-credentials.yaml",
+  "op-user-credentials.yml",
+];
+
 const users = {};
 
+// Entries keyed by login or email: key -> { login, apiKey }
+const pendingCredentials = new Map();
+
+function isYamlFile(filePath) {
+  return /\.ya?ml$/i.test(filePath);
+}
+
+// Path of the credentials file, or of the default JSON file if none exists
+function getCredentialsFilePath() {
+  if (process.env.OP_USER_CREDENTIALS_FILE) {
+    return path.resolve(process.env.OP_USER_CREDENTIALS_FILE);
+  }
+  const existing = DEFAULT_CREDENTIALS_FILES.map((name) =>
+    path.join(__dirname, name)
+  ).find((filePath) => fs.existsSync(filePath));
+  return existing || path.join(__dirname, DEFAULT_CREDENTIALS_FILES[0]);
+}
+
+// Read a credentials file as { key: { login, apiKey } }
+function readCredentialsFile(filePath) {
+  const content = fs.readFileSync(filePath, "utf8");
+  let data;
+  try {
+    data = isYamlFile(filePath) ? YAML.parse(content) : JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+  if (!data) return {};
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(
+      `${filePath} must map user IDs, logins or emails to API keys`
+    );
+  }
+
+  const credentials = {};
+  for (const [key, value] of Object.entries(data)) {
+    const entry = typeof value === "string" ? { apiKey: value } : value || {};
+    if (!entry.apiKey) {
+      throw new Error(`${filePath}: entry "${key}" has no apiKey`);
+    }
+    credentials[key] = entry.login
+      ? { login: entry.login, apiKey: entry.apiKey }
+      : { apiKey: entry.apiKey };
+  }
+  return credentials;
+}
+
+// Write credentials in the format of the file extension, readable by the
+// owner only
+function writeCredentialsFile(filePath, credentials) {
+  const content = isYamlFile(filePath)
+    ? YAML.stringify(credentials)
+    : `${JSON.stringify(credentials, null, 2)}\n`;
+  fs.writeFileSync(filePath, content, { mode: 0o600 });
+  // The mode above only applies when the file is created
+  fs.chmodSync(filePath, 0o600);
+}
+
+function isUserId(key) {
+  return /^\d+$/.test(String(key));
+}
+
+function addCredentials(key, entry) {
+  if (isUserId(key)) {
+    users[Number(key)] = { ...users[Number(key)], ...entry };
+  } else {
+    pendingCredentials.set(key, entry);
+  }
+}
+
 for (const [key, value] of Object.entries(process.env)) {
-    if (key.startsWith("OP_API_KEY_USER_")) {
-        const id = key.replace("OP_API_KEY_USER_", "");
-        const numericId = Number(id);
-        if (!isNaN(numericId)) {
-            if (!users[numericId]) users[numericId] = {};
-            users[numericId].apiKey = value;
-        }
+  if (key.startsWith("OP_API_KEY_USER_")) {
+    const id = key.replace("OP_API_KEY_USER_", "");
+    if (isUserId(id)) addCredentials(id, { apiKey: value });
+  }
+
+  if (key.startsWith("OP_LOGIN_USER_")) {
+    const id = key.replace("OP_LOGIN_USER_", "");
+    if (isUserId(id)) addCredentials(id, { login: value });
+  }
+}
+
+// A broken credentials file stops the migration in resolveActingUsers()
+// rather than here, so manage-credentials.js can still be loaded
+let credentialsFileError = null;
+const credentialsFile = getCredentialsFilePath();
+if (fs.existsSync(credentialsFile)) {
+  try {
+    const credentials = readCredentialsFile(credentialsFile);
+    for (const [key, entry] of Object.entries(credentials)) {
+      addCredentials(key, entry);
     }
+  } catch (error) {
+    credentialsFileError = error;
+  }
+}
+
+/**
+ * Adds the entries keyed by login or email, given the OpenProject users.
+ * Returns the keys that match no user. Throws when the credentials file
+ * can't be read, instead of migrating without impersonation.
+ */
+function resolveActingUsers(openProjectUsers) {
+  if (credentialsFileError) {
+    throw new Error(
+      `Failed to load user credentials: ${credentialsFileError.message}`
+    );
+  }
 
-    if (key.startsWith("OP_LOGIN_USER_")) {
-        const id = key.replace("OP_LOGIN_USER_", "");
-        const numericId = Number(id);
-        if (!isNaN(numericId)) {
-            if (!users[numericId]) users[numericId] = {};
-            users[numericId].login = value;
-        }
+  const unresolved = [];
+  for (const [key, entry] of pendingCredentials.entries()) {
+    const lowerKey = key.toLowerCase();
+    const user = openProjectUsers.find(
+      (u) =>
+        u.login?.toLowerCase() === lowerKey ||
+        u.email?.toLowerCase() === lowerKey
+    );
+    if (!user) {
+      unresolved.push(key);
+      continue;
     }
+    users[user.id] = {
+      login: entry.login || user.login,
+      apiKey: entry.apiKey,
+    };
+  }
+  pendingCredentials.clear();
+
+  if (unresolved.length > 0) {
+    console.warn(
+      `No OpenProject user found for the credentials of: ${unresolved.join(", ")}`
+    );
+  }
+  return unresolved;
 }
 
-module.exports = users;
\ No newline at end of file
+module.exports = {
+  actingUsers: users,
+  resolveActingUsers,
+  getCredentialsFilePath,
+  readCredentialsFile,
+  writeCredentialsFile,
+};
@@ -1,30 +1,72 @@
 require("dotenv").config();
-const axios = require("axios");
 const fs = require("fs");
 const path = require("path");
 const FormData = require("form-data");
+const {
+  createHttpClient,
+  getRequestsPerSecond,
+  HTTP_TRANSFER_TIMEOUT_MS,
+} = require("./http-client");
+
+// OpenProject API configuration for the given API key
+function getOpenProjectConfig(apiKey) {
+  return {
+    baseURL: `${process.env.OPENPROJECT_HOST}/api/v3`,
+    headers: {
+      Authorization: `Basic ${Buffer.from(`apikey:${apiKey}`).toString(
+        "base64"
+      )}`,
+      "Content-Type": "application/json",
+    },
+  };
+}
 
-// OpenProject API configuration
-const openProjectConfig = {
-  baseURL: `${process.env.OPENPROJECT_HOST}/api/v3`,
-  headers: {
-    Authorization: `Basic ${Buffer.from(
-      `apikey:${process.env.OPENPROJECT_API_KEY}`
-    ).toString("base64")}`,
-    "Content-Type": "application/json",
-  },
-};
+function createOpenProjectClient(apiKey = process.env.OPENPROJECT_API_KEY) {
+  return createHttpClient({
+    ...getOpenProjectConfig(apiKey),
+    requestsPerSecond: getRequestsPerSecond("OPENPROJECT_REQUESTS_PER_SECOND"),
+  });
+}
 
-const openProjectApi = axios.create(openProjectConfig);
+const openProjectApi = createOpenProjectClient();
+
+// Clients of the users in op-user-api-keys.js, by API key
+const userClients = new Map();
+
+/**
+ * The client that acts as actingUser ({ login, apiKey } from
+ * op-user-api-keys.js). Each user gets one client, built on first use.
+ * Without an acting user or API key the admin client is returned.
+ */
+function getOpenProjectClient(actingUser) {
+  if (!actingUser?.apiKey) return openProjectApi;
+  if (!userClients.has(actingUser.apiKey)) {
+    userClients.set(
+      actingUser.apiKey,
+      createOpenProjectClient(actingUser.apiKey)
+    );
+  }
+  return userClients.get(actingUser.apiKey);
+}
+
+// " as <login>" for messages about calls made as another user
+function actingLabel(actingUser) {
+  return actingUser?.apiKey ? ` as ${actingUser.login}` : "";
+}
 
 // Get the custom field ID from environment variable or use default value
 const JIRA_ID_CUSTOM_FIELD = process.env.JIRA_ID_CUSTOM_FIELD || 1;
 
+// Time entry activity used for migrated worklogs. Without it OpenProject
+// falls back to its default activity.
+const TIME_ENTRY_ACTIVITY_ID = process.env.TIME_ENTRY_ACTIVITY_ID || null;
+
 // Store work package types and statuses
 let workPackageTypes = null;
 let workPackageStatuses = null;
 let openProjectUsers = null;
 let workPackagePriorities = null;
+const workPackageSchemas = new Map();
 
 // Map Jira issue types to OpenProject types
 const typeMapping = {
@@ -56,80 +98,99 @@ const priorityMapping = {
   Lowest: "Trivial",
 };
 
+const COLLECTION_PAGE_SIZE = 100;
+
+/**
+ * Iterates over all elements of an OpenProject collection endpoint. Pages are
+ * requested with offset (the 1-based page number) and pageSize until total
+ * elements have been read. OpenProject caps pageSize at the instance's
+ * maximum, so paging doesn't rely on the requested size. Endpoints that
+ * aren't paginated return everything with the first request.
+ *
+ * options: { api, pageSize, onPage(fetched, total) }
+ */
+async function* iterateCollection(endpoint, params = {}, options = {}) {
+  const {
+    api = openProjectApi,
+    pageSize = COLLECTION_PAGE_SIZE,
+    onPage,
+  } = options;
+  let offset = 1;
+  let fetched = 0;
+
+  while (true) {
+    const response = await api.get(endpoint, {
+      params: { ...params, offset, pageSize },
+    });
+    const elements = response.data._embedded?.elements || [];
+    const total = Number(response.data.total ?? elements.length);
+    fetched += elements.length;
+    if (onPage) onPage(fetched, total);
+
+    yield* elements;
+
+    if (elements.length === 0 || fetched >= total) break;
+    offset++;
+  }
+}
+
+// All elements of a collection endpoint, see iterateCollection()
+async function getCollection(endpoint, params = {}, options = {}) {
+  const elements = [];
+  for await (const element of iterateCollection(endpoint, params, options)) {
+    elements.push(element);
+  }
+  return elements;
+}
+
 async function getOpenProjectWorkPackages(projectId) {
   console.log("\n=== Caching OpenProject Work Packages ===");
   console.log("Fetching work packages from OpenProject...");
 
-  let allWorkPackages = [];
-  let page = 1;
-  const pageSize = 100;
-  let total = null;
+  const allWorkPackages = [];
   const workPackageMap = new Map();
 
-  while (true) {
-    console.log(`Fetching page ${page}...`);
-
-    try {
-      const response = await openProjectApi.get("/work_packages", {
-        params: {
-          filters: JSON.stringify([
-            {
-              project: {
-                operator: "=",
-                values: [projectId.toString()],
-              },
+  try {
+    const workPackages = iterateCollection(
+      "/work_packages",
+      {
+        filters: JSON.stringify([
+          {
+            project: {
+              operator: "=",
+              values: [projectId.toString()],
             },
-          ]),
-          offset: page,
-          pageSize: pageSize,
-          sortBy: JSON.stringify([["id", "asc"]]),
-        },
-      });
-
-      if (total === null) {
-        total = parseInt(response.data.total);
-        console.log(`Total work packages to fetch: ${total}`);
-      }
-
-      const workPackages = response.data._embedded.elements;
-      if (!workPackages || workPackages.length === 0) {
-        break;
+          },
+        ]),
+        sortBy: JSON.stringify([["id", "asc"]]),
+      },
+      {
+        onPage: (fetched, total) =>
+          console.log(
+            `Retrieved ${fetched} of ${total} work packages (${
+              total ? Math.round((fetched / total) * 100) : 100
+            }%)`
+          ),
       }
+    );
 
+    for await (const wp of workPackages) {
       // Log the first work package to see its structure
-      if (page === 1) {
+      if (allWorkPackages.length === 0) {
         console.log("\nExample work package structure:");
-        console.log(JSON.stringify(workPackages[0], null, 2));
+        console.log(JSON.stringify(wp, null, 2));
       }
-
-      allWorkPackages = allWorkPackages.concat(workPackages);
-      console.log(
-        `Retrieved ${
-          allWorkPackages.length
-        } of ${total} work packages (${Math.round(
-          (allWorkPackages.length / total) * 100
-        )}%)`
-      );
+      allWorkPackages.push(wp);
 
       // Map work packages by their Jira ID
-      for (const wp of workPackages) {
-        const jiraId = wp[`customField${JIRA_ID_CUSTOM_FIELD}`];
-        if (jiraId) {
-          workPackageMap.set(jiraId, wp);
-        }
-      }
-
-      if (allWorkPackages.length >= total) {
-        break;
+      const jiraId = wp[`customField${JIRA_ID_CUSTOM_FIELD}`];
+      if (jiraId) {
+        workPackageMap.set(jiraId, wp);
       }
-
-      page++;
-      // Add a small delay between requests
-      await new Promise((resolve) => setTimeout(resolve, 100));
-    } catch (error) {
-      console.error("Error fetching work packages:", error.message);
-      throw error;
     }
+  } catch (error) {
+    console.error("Error fetching work packages:", error.message);
+    throw error;
   }
 
   console.log(
@@ -177,270 +238,222 @@ async function setParentWorkPackage(childId, parentId) {
   }
 }
 
-async function createWorkPackage(projectId, payload) {
-  try {
-    const response = await openProjectApi.post("/work_packages", {
-      ...payload,
-      _links: {
-        ...payload._links,
-        project: {
-          href: `/api/v3/projects/${projectId}`,
-        },
-      },
-    });
-    return response.data;
-  } catch (error) {
-    console.error("Error creating work package:", error.message);
-    throw error;
-  }
-}
-
-async function createWorkPackageAsUser(projectId, payload, opUser) {
-  const axios = require("axios");
-
-  try {
-    console.log(`DEBUG createWorkPackageAsUser():`, {
-      login: opUser?.login,
-      apiKeyExists: !!opUser?.apiKey
-    });
-
-    const authString = Buffer.from(`apikey:${opUser.apiKey}`).toString("base64");
-
-    const userApi = axios.create({
-      baseURL: process.env.OPENPROJECT_HOST,
-      headers: {
-        Authorization: `Basic ${authString}`,
-        "Content-Type": "application/json"
-      }
-    });
-
-    // Wichtig: wir überschreiben nur den project-Link, sonst nichts!
-    const wpPayload = {
-      ...payload,
-      _links: {
-        ...payload._links,
-        project: { href: `/api/v3/projects/${projectId}` }
-      }
-    };
-
-    const response = await userApi.post(`/api/v3/work_packages`, wpPayload);
-    return response.data;
-
-  } catch (error) {
-    console.error("Error creating work package as user:", error.message);
-    if (error.response?.data) {
-      console.error("Error details:", JSON.stringify(error.response.data, null, 2));
-    }
-    throw error;
+function logErrorDetails(error) {
+  if (error.response?.data) {
+    console.error(
+      "Error details:",
+      JSON.stringify(error.response.data, null, 2)
+    );
   }
 }
 
-async function updateWorkPackageAsUser(workPackageId, payload, opUser) {
-  const axios = require("axios");
-
+async function createWorkPackage(projectId, payload, actingUser) {
   try {
-    console.log(`DEBUG updateWorkPackageAsUser():`, {
-      workPackageId,
-      login: opUser?.login,
-      apiKeyExists: !!opUser?.apiKey
-    });
-
-    const authString = Buffer.from(`apikey:${opUser.apiKey}`).toString("base64");
-
-    const userApi = axios.create({
-      baseURL: process.env.OPENPROJECT_HOST,
-      headers: {
-        Authorization: `Basic ${authString}`,
-        "Content-Type": "application/json"
+    const response = await getOpenProjectClient(actingUser).post(
+      "/work_packages",
+      {
+        ...payload,
+        _links: {
+          ...payload._links,
+          project: {
+            href: `/api/v3/projects/${projectId}`,
+          },
+        },
       }
-    });
-
-    // Fetch current lockVersion
-    const current = await userApi.get(`/api/v3/work_packages/${workPackageId}`);
-    const lockVersion = current.data.lockVersion;
-
-    const { _type, ...cleanPayload } = payload;
-
-    const updatePayload = {
-      ...cleanPayload,
-      lockVersion
-    };
-
-    const response = await userApi.patch(
-      `/api/v3/work_packages/${workPackageId}`,
-      updatePayload
     );
-
     return response.data;
-
   } catch (error) {
-    console.error("Error updating work package as user:", error.message);
-    if (error.response?.data) {
-      console.error("Error details:", JSON.stringify(error.response.data, null, 2));
-    }
+    console.error(
+      `Error creating work package${actingLabel(actingUser)}:`,
+      error.message
+    );
+    logErrorDetails(error);
     throw error;
   }
 }
 
-async function updateWorkPackage(workPackageId, payload) {
+async function updateWorkPackage(workPackageId, payload, actingUser) {
   try {
+    const client = getOpenProjectClient(actingUser);
+
     // Get current work package to get its lock version
-    const currentWP = await openProjectApi.get(
-      `/work_packages/${workPackageId}`
-    );
+    const currentWP = await client.get(`/work_packages/${workPackageId}`);
 
     // Remove _type from update payload and add lock version
     const { _type, ...updatePayload } = payload;
     updatePayload.lockVersion = currentWP.data.lockVersion;
 
-    const response = await openProjectApi.patch(
+    const response = await client.patch(
       `/work_packages/${workPackageId}`,
       updatePayload
     );
     return response.data;
   } catch (error) {
     console.error(
-      `Error updating work package ${workPackageId}:`,
+      `Error updating work package ${workPackageId}${actingLabel(actingUser)}:`,
       error.message
     );
-    if (error.response?.data) {
-      console.error(
-        "Error details:",
-        JSON.stringify(error.response.data, null, 2)
-      );
-    }
+    logErrorDetails(error);
     throw error;
   }
 }
 
-async function addComment(workPackageId, comment) {
+// Returns { journal_id } of the created comment, or the activity if the
+// journal ID can't be read from it
+async function addComment(
+  workPackageId,
+  comment,
+  format = "html",
+  actingUser
+) {
   try {
-    await openProjectApi.post(
+    const response = await getOpenProjectClient(actingUser).post(
       `/work_packages/${workPackageId}/activities`,
-      {
-        comment: {
-          format: "html",
-          raw: Buffer.from(comment).toString("utf8"),
-        },
-      }
+      { comment: { format, raw: comment } }
     );
+
+    const activityHref = response.data?._links?.self?.href || "";
+    const journalId = parseInt(activityHref.split("/").pop());
+    if (!isNaN(journalId)) {
+      return {
+        journal_id: journalId,
+        jira_comment_id: null,
+        created_at: null,
+      };
+    }
+    return response.data;
   } catch (error) {
     console.error(
-      `Error adding comment to work package ${workPackageId}:`,
+      `Error adding comment to work package ${workPackageId}${actingLabel(actingUser)}:`,
       error.message
     );
+    logErrorDetails(error);
     throw error;
   }
 }
 
-async function addCommentAsUser(workPackageId, commentHtml, opUser) {
-
-  console.log("DEBUG addCommentAsUser():", {
-    workPackageId,
-    login: opUser?.login,
-    apiKeyExists: !!opUser?.apiKey
-  });
-
-  const axios = require("axios");
-  const authString = Buffer.from(`apikey:${opUser.apiKey}`).toString("base64");
-  const client = axios.create({
-    baseURL: process.env.OPENPROJECT_HOST,
-    headers: {
-      Authorization: `Basic ${authString}`,
-      "Content-Type": "application/json"
-    }
-  });
-
-  console.log("DEBUG addCommentAsUser(): Using auth user:", opUser.login);
-
-  const response = await client.post(
-    `/api/v3/work_packages/${workPackageId}/activities`,
-    { comment: { format: "html", raw: commentHtml } }
-  );
-
-  const activityHref = response.data?._links?.self?.href || "";
-  const journalId = parseInt(activityHref.split("/").pop());
-
-  if (!isNaN(journalId)) {
-    return {
-      journal_id: journalId,
-      jira_comment_id: null,
-      created_at: null
-    };
-  }
-
-  return response.data;
-}
-
-async function uploadAttachment(workPackageId, filePath, fileName) {
+async function uploadAttachment(workPackageId, filePath, fileName, actingUser) {
   try {
     const formData = new FormData();
     formData.append("metadata", JSON.stringify({ fileName }));
     formData.append("file", fs.createReadStream(filePath));
 
-    const response = await openProjectApi.post(
+    const response = await getOpenProjectClient(actingUser).post(
       `/work_packages/${workPackageId}/attachments`,
       formData,
       {
-        headers: {
-          ...openProjectConfig.headers,
-          "Content-Type": "multipart/form-data",
-        },
+        headers: formData.getHeaders(),
+        timeout: HTTP_TRANSFER_TIMEOUT_MS,
+        // The file stream is consumed by the first attempt
+        retry: false,
       }
     );
     return response.data;
   } catch (error) {
     console.error(
-      `Error uploading attachment to work package ${workPackageId}:`,
+      `Error uploading attachment to work package ${workPackageId}${actingLabel(actingUser)}:`,
       error.message
     );
+    logErrorDetails(error);
     throw error;
   }
 }
 
-// Upload attachment using the API key of a specific user
-async function uploadAttachmentAsUser(workPackageId, filePath, fileName, opUser) {
-  const axios = require("axios");
-  const FormData = require("form-data");
-  const fs = require("fs");
+// Convert seconds to an ISO 8601 duration as expected by OpenProject, e.g. PT1H30M
+function toIsoDuration(seconds) {
+  const totalSeconds = Math.max(0, Math.round(seconds || 0));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const remainingSeconds = totalSeconds % 60;
+
+  let duration = "PT";
+  if (hours) duration += `${hours}H`;
+  if (minutes) duration += `${minutes}M`;
+  if (remainingSeconds || duration === "PT") duration += `${remainingSeconds}S`;
+  return duration;
+}
 
+async function getExistingTimeEntries(workPackageId) {
   try {
-    console.log(`DEBUG uploadAttachmentAsUser():`, {
-      workPackageId,
-      login: opUser?.login,
-      apiKeyExists: !!opUser?.apiKey
-    });
-
-    const authString = Buffer.from(`apikey:${opUser.apiKey}`).toString("base64");
-
-    const userApi = axios.create({
-      baseURL: process.env.OPENPROJECT_HOST,
-      headers: {
-        Authorization: `Basic ${authString}`
-      }
+    return await getCollection("/time_entries", {
+      filters: JSON.stringify([
+        {
+          work_package: {
+            operator: "=",
+            values: [workPackageId.toString()],
+          },
+        },
+      ]),
     });
+  } catch (error) {
+    // Callers must not mistake a failed lookup for "no time entries yet"
+    console.error(`Error getting existing time entries: ${error.message}`);
+    return null;
+  }
+}
 
-    const formData = new FormData();
-    formData.append("metadata", JSON.stringify({ fileName }));
-    formData.append("file", fs.createReadStream(filePath));
-
-    const response = await userApi.post(
-      `/api/v3/work_packages/${workPackageId}/attachments`,
-      formData,
-      {
-        headers: {
-          ...formData.getHeaders()
-        }
-      }
+async function createTimeEntry(payload, actingUser) {
+  try {
+    const response = await getOpenProjectClient(actingUser).post(
+      "/time_entries",
+      payload
     );
-
     return response.data;
+  } catch (error) {
+    console.error(
+      `Error creating time entry${actingLabel(actingUser)}:`,
+      error.message
+    );
+    logErrorDetails(error);
+    throw error;
+  }
+}
 
+async function getProjectVersions(projectId) {
+  try {
+    return await getCollection(`/projects/${projectId}/versions`);
   } catch (error) {
     console.error(
-      `Error uploading attachment as user to work package ${workPackageId}:`,
+      `Error fetching versions of project ${projectId}:`,
       error.message
     );
+    throw error;
+  }
+}
+
+async function createVersion(projectId, payload) {
+  try {
+    const response = await openProjectApi.post("/versions", {
+      ...payload,
+      _links: {
+        ...payload._links,
+        definingProject: {
+          href: `/api/v3/projects/${projectId}`,
+        },
+      },
+    });
+    return response.data;
+  } catch (error) {
+    console.error(`Error creating version ${payload.name}:`, error.message);
+    if (error.response?.data) {
+      console.error(
+        "Error details:",
+        JSON.stringify(error.response.data, null, 2)
+      );
+    }
+    throw error;
+  }
+}
+
+async function updateVersion(versionId, payload) {
+  try {
+    const response = await openProjectApi.patch(
+      `/versions/${versionId}`,
+      payload
+    );
+    return response.data;
+  } catch (error) {
+    console.error(`Error updating version ${versionId}:`, error.message);
     if (error.response?.data) {
       console.error(
         "Error details:",
@@ -451,14 +464,66 @@ async function uploadAttachmentAsUser(workPackageId, filePath, fileName, opUser)
   }
 }
 
+async function getProjectCategories(projectId) {
+  try {
+    return await getCollection(`/projects/${projectId}/categories`);
+  } catch (error) {
+    console.error(
+      `Error fetching categories of project ${projectId}:`,
+      error.message
+    );
+    throw error;
+  }
+}
+
+// The schema lists the custom fields and their allowed values per project and type
+async function getWorkPackageSchema(projectId, typeId) {
+  const schemaId = `${projectId}-${typeId}`;
+  if (workPackageSchemas.has(schemaId)) {
+    return workPackageSchemas.get(schemaId);
+  }
+
+  try {
+    const response = await openProjectApi.get(
+      `/work_packages/schemas/${schemaId}`
+    );
+    workPackageSchemas.set(schemaId, response.data);
+    return response.data;
+  } catch (error) {
+    console.error(
+      `Error fetching work package schema ${schemaId}:`,
+      error.message
+    );
+    throw error;
+  }
+}
+
+// Options of a list custom field as [{ id, value }], or null if the custom
+// field is not enabled for the project and type
+async function getCustomFieldOptions(projectId, typeId, customFieldId) {
+  const schema = await getWorkPackageSchema(projectId, typeId);
+  const field = schema[`customField${customFieldId}`];
+  if (!field) return null;
+
+  const allowedValues =
+    field._links?.allowedValues || field._embedded?.allowedValues || [];
+  return allowedValues.map((option) => ({
+    id: (option.href || option._links?.self?.href || "").split("/").pop(),
+    value: option.title || option.value,
+  }));
+}
+
 async function addWatcher(workPackageId, userId) {
   try {
     console.log(
       `Adding watcher (userId: ${userId}) to work package ${workPackageId}...`
     );
-    await openProjectApi.post(`/work_packages/${workPackageId}/watchers`, {
-      user: { href: `/api/v3/users/${userId}` },
-    });
+    // Adding an existing watcher is answered with 409, so a retry is harmless
+    await openProjectApi.post(
+      `/work_packages/${workPackageId}/watchers`,
+      { user: { href: `/api/v3/users/${userId}` } },
+      { retry: true }
+    );
     console.log(
       `Successfully added watcher ${userId} to work package ${workPackageId}`
     );
@@ -494,12 +559,12 @@ async function addWatcher(workPackageId, userId) {
 
 async function listProjects() {
   try {
-    const response = await openProjectApi.get("/projects", {params: {pageSize: 500}});
+    const projects = await getCollection("/projects");
     console.log("\nAvailable OpenProject Projects:");
-    response.data._embedded.elements.forEach((project) => {
+    projects.forEach((project) => {
       console.log(`- ID: ${project.id}, Name: ${project.name}`);
     });
-    return response.data._embedded.elements;
+    return projects;
   } catch (error) {
     console.error("Error listing projects:", error.message);
     throw error;
@@ -508,8 +573,7 @@ async function listProjects() {
 
 async function getWorkPackageTypes() {
   try {
-    const response = await openProjectApi.get("/types");
-    workPackageTypes = response.data._embedded.elements;
+    workPackageTypes = await getCollection("/types");
     console.log("\nAvailable work package types:");
     workPackageTypes.forEach((type) => {
       console.log(`- ${type.name} (ID: ${type.id})`);
@@ -523,8 +587,7 @@ async function getWorkPackageTypes() {
 
 async function getWorkPackageStatuses() {
   try {
-    const response = await openProjectApi.get("/statuses");
-    workPackageStatuses = response.data._embedded.elements;
+    workPackageStatuses = await getCollection("/statuses");
     console.log("\nAvailable work package statuses:");
     workPackageStatuses.forEach((status) => {
       console.log(`- ${status.name} (ID: ${status.id})`);
@@ -538,8 +601,7 @@ async function getWorkPackageStatuses() {
 
 async function getWorkPackagePriorities() {
   try {
-    const response = await openProjectApi.get("/priorities");
-    workPackagePriorities = response.data._embedded.elements;
+    workPackagePriorities = await getCollection("/priorities");
     console.log("\nAvailable work package priorities:");
     workPackagePriorities.forEach((priority) => {
       console.log(`- ${priority.name} (ID: ${priority.id})`);
@@ -569,6 +631,12 @@ function getWorkPackageTypeId(jiraIssueType) {
   return typeObj.id;
 }
 
+// Milestones have a single date instead of a start and due date
+function isMilestoneType(typeId) {
+  const type = workPackageTypes?.find((t) => t.id === typeId);
+  return !!type?.isMilestone;
+}
+
 function getWorkPackageStatusId(jiraStatus) {
   console.log(`Mapping Jira status: ${jiraStatus}`);
   const mappedStatus = statusMapping[jiraStatus] || "unknown"; // Default to unknown if no mapping found
@@ -609,10 +677,7 @@ function getWorkPackagePriorityId(jiraPriority) {
 
 async function getExistingAttachments(workPackageId) {
   try {
-    const response = await openProjectApi.get(
-      `/work_packages/${workPackageId}/attachments`
-    );
-    return response.data._embedded.elements;
+    return await getCollection(`/work_packages/${workPackageId}/attachments`);
   } catch (error) {
     console.error(`Error getting existing attachments: ${error.message}`);
     return [];
@@ -621,20 +686,38 @@ async function getExistingAttachments(workPackageId) {
 
 async function getExistingComments(workPackageId) {
   try {
-    const response = await openProjectApi.get(
+    const activities = await getCollection(
       `/work_packages/${workPackageId}/activities`
     );
-    return response.data._embedded.elements.filter((e) => e.comment?.raw);
+    return activities.filter((e) => e.comment?.raw);
   } catch (error) {
+    // Callers must not mistake a failed lookup for "no comments yet"
     console.error(`Error getting existing comments: ${error.message}`);
-    return [];
+    return null;
+  }
+}
+
+async function updateComment(activityId, comment, format = "markdown") {
+  try {
+    const response = await openProjectApi.patch(`/activities/${activityId}`, {
+      comment: { format, raw: comment },
+    });
+    return response.data;
+  } catch (error) {
+    console.error(`Error updating comment ${activityId}:`, error.message);
+    if (error.response?.data) {
+      console.error(
+        "Error details:",
+        JSON.stringify(error.response.data, null, 2)
+      );
+    }
+    throw error;
   }
 }
 
 async function getOpenProjectUsers() {
   try {
-    const response = await openProjectApi.get("/users", { params: { pageSize: 500 } });
-    openProjectUsers = response.data._embedded.elements;
+    openProjectUsers = await getCollection("/users");
     console.log("\nAvailable OpenProject users:");
     openProjectUsers.forEach((user) => {
       console.log(
@@ -684,6 +767,34 @@ async function findExistingWorkPackage(jiraKey, projectId) {
   }
 }
 
+// Find the work package of a Jira issue in any project, e.g. for links
+// between migrated projects
+async function findWorkPackageIdByJiraKey(jiraKey) {
+  try {
+    const response = await openProjectApi.get("/work_packages", {
+      params: {
+        filters: JSON.stringify([
+          {
+            [`customField${JIRA_ID_CUSTOM_FIELD}`]: {
+              operator: "=",
+              values: [jiraKey],
+            },
+          },
+        ]),
+        pageSize: 1,
+      },
+    });
+
+    const workPackages = response.data._embedded.elements;
+    return workPackages.length > 0 ? workPackages[0].id : null;
+  } catch (error) {
+    console.error(
+      `Error finding work package for ${jiraKey}: ${error.message}`
+    );
+    return null;
+  }
+}
+
 function getWorkPackageTypeName(typeId) {
   const type = workPackageTypes?.find((t) => t.id === typeId);
   return type ? type.name : "Unknown";
@@ -695,33 +806,47 @@ function getWorkPackageStatusName(statusId) {
 }
 
 module.exports = {
+  iterateCollection,
+  getCollection,
+  openProjectApi,
+  createOpenProjectClient,
   getOpenProjectWorkPackages,
   setParentWorkPackage,
+  getOpenProjectClient,
   createWorkPackage,
-  createWorkPackageAsUser,
-  updateWorkPackageAsUser,
   updateWorkPackage,
   addComment,
-  addCommentAsUser,
   uploadAttachment,
-  uploadAttachmentAsUser,
+  toIsoDuration,
+  getExistingTimeEntries,
+  createTimeEntry,
+  getProjectVersions,
+  createVersion,
+  updateVersion,
+  getProjectCategories,
+  getWorkPackageSchema,
+  getCustomFieldOptions,
   addWatcher,
   listProjects,
   getWorkPackageTypes,
   getWorkPackageStatuses,
   getWorkPackagePriorities,
   getWorkPackageTypeId,
+  isMilestoneType,
   getWorkPackageStatusId,
   getWorkPackagePriorityId,
   getExistingAttachments,
   getExistingComments,
+  updateComment,
   getOpenProjectUsers,
   getOpenProjectUserById,
   findExistingWorkPackage,
+  findWorkPackageIdByJiraKey,
   getWorkPackageTypeName,
   getWorkPackageStatusName,
   typeMapping,
   statusMapping,
   priorityMapping,
   JIRA_ID_CUSTOM_FIELD,
+  TIME_ENTRY_ACTIVITY_ID,
 };
@@ -0,0 +1,135 @@
+require("dotenv").config();
+const fs = require("fs");
+const { getSpecificJiraIssues, getIssueComments } = require("./jira-client");
+const {
+  convertRichText,
+  getUnsupportedAdfTypes,
+} = require("./adf-converter");
+
+/**
+ * Prints what the rich text converter makes of a Jira issue or a captured
+ * payload, without migrating anything.
+ *
+ *   node preview-conversion.js PROJ-123
+ *   node preview-conversion.js description.json
+ *
+ * Files may contain an ADF document, a Jira issue (as returned by the REST
+ * API) or, if they aren't JSON, Jira wiki markup. Mentions are shown as
+ * plain @names and attachments as {{jira-attachment:ID}} placeholders,
+ * since neither is resolved against OpenProject.
+ */
+
+const FORMATS = ["markdown", "html"];
+
+// Returns [{ label, doc }] for the description and comments of an issue
+function getIssueTexts(issue, comments = issue.fields.comment?.comments || []) {
+  const texts = [
+    {
+      label: `${issue.key || "Issue"} description`,
+      doc: issue.fields.description,
+    },
+  ];
+  comments.forEach((comment) => {
+    texts.push({
+      label: `Comment ${comment.id} by ${comment.author?.displayName || "unknown"}`,
+      doc: comment.body,
+    });
+  });
+  return texts;
+}
+
+async function loadFromJira(issueKey) {
+  const issues = await getSpecificJiraIssues(
+    null,
+    [issueKey],
+    "summary,description,attachment"
+  );
+  if (issues.length === 0) {
+    throw new Error(`Issue ${issueKey} not found`);
+  }
+  const issue = issues[0];
+  const comments = await getIssueComments(issue.key);
+  return {
+    texts: getIssueTexts(issue, comments),
+    attachments: issue.fields.attachment || [],
+  };
+}
+
+function loadFromFile(filePath) {
+  const content = fs.readFileSync(filePath, "utf8");
+  let payload;
+  try {
+    payload = JSON.parse(content);
+  } catch (error) {
+    // Not JSON, treat it as Jira wiki markup
+    return { texts: [{ label: filePath, doc: content }], attachments: [] };
+  }
+
+  if (payload?.fields) {
+    return {
+      texts: getIssueTexts(payload),
+      attachments: payload.fields.attachment || [],
+    };
+  }
+  if (payload?.type === "doc" || typeof payload === "string") {
+    return { texts: [{ label: filePath, doc: payload }], attachments: [] };
+  }
+  throw new Error(
+    `${filePath} contains neither an ADF document nor a Jira issue`
+  );
+}
+
+async function previewConversion(source, formats) {
+  try {
+    const isFile = fs.existsSync(source);
+    const { texts, attachments } = isFile
+      ? loadFromFile(source)
+      : await loadFromJira(source.toUpperCase());
+
+    const unmappedMentions = new Map();
+    for (const { label, doc } of texts) {
+      for (const format of formats) {
+        console.log(`\n=== ${label} (${format}) ===`);
+        console.log(
+          convertRichText(doc, format, { unmappedMentions, attachments }) ||
+            "(empty)"
+        );
+      }
+    }
+
+    const unsupportedAdfTypes = getUnsupportedAdfTypes();
+    console.log("\n=== Unknown content types ===");
+    if (unsupportedAdfTypes.length === 0) {
+      console.log("None");
+    } else {
+      unsupportedAdfTypes.forEach((type) => console.log(`- ${type}`));
+    }
+    if (unmappedMentions.size > 0) {
+      console.log(
+        `\nMentions (not resolved in the preview): ${Array.from(
+          unmappedMentions.keys()
+        ).join(", ")}`
+      );
+    }
+  } catch (error) {
+    console.error("Error previewing conversion:", error.message);
+    process.exit(1);
+  }
+}
+
+const args = process.argv.slice(2);
+const formatIndex = args.indexOf("--format");
+const format = formatIndex !== -1 ? args[formatIndex + 1] : null;
+const source = args.find(
+  (arg, index) =>
+    !arg.startsWith("--") && (formatIndex === -1 || index !== formatIndex + 1)
+);
+
+if (!source || (formatIndex !== -1 && !FORMATS.includes(format))) {
+  console.log(
+    "Usage: node preview-conversion.js <issueKey | file.json> [--format markdown|html]"
+  );
+  process.exit(1);
+}
+
+previewConversion(source, format ? [format] : FORMATS);
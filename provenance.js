@@ -0,0 +1,164 @@
+require("dotenv").config();
+const {
+  convertAtlassianDocumentToText,
+  escapeHtml,
+  escapeMarkdown,
+} = require("./adf-converter");
+const { getJiraSiteUrl } = require("./jira-flavor");
+
+/**
+ * Provenance of migrated work packages and comments: where they came from in
+ * Jira, who wrote them and when.
+ *
+ * PROVENANCE_TEMPLATE is appended to descriptions when work packages are
+ * created or updated, COMMENT_HEADER_TEMPLATE is put in front of comments
+ * that can't be posted as their author. Templates are written in the text
+ * format of the run, "\n" starts a new line and {placeholders} are replaced
+ * with the escaped values. Lines whose placeholders are all empty are left
+ * out. Set a template to "none" to turn it off.
+ *
+ * Description placeholders: {key} {url} {reporter} {created} {resolved}
+ * {resolution} {environment}
+ * Comment placeholders: {author} {created} {key} {url}
+ */
+
+const PROVENANCE_START = "<!-- jira-provenance -->";
+const PROVENANCE_END = "<!-- /jira-provenance -->";
+
+const DEFAULT_TEMPLATES = {
+  markdown: {
+    description: [
+      "---",
+      "",
+      "**Migrated from Jira [{key}]({url})**",
+      "",
+      "- Reporter: {reporter}",
+      "- Created: {created}",
+      "- Resolved: {resolved}",
+      "- Resolution: {resolution}",
+      "- Environment: {environment}",
+    ].join("\n"),
+    comment: "_{author} wrote on {created}:_",
+  },
+  html: {
+    description: [
+      "<hr />",
+      '<p><strong>Migrated from Jira <a href="{url}">{key}</a></strong></p>',
+      "<ul>",
+      "<li>Reporter: {reporter}</li>",
+      "<li>Created: {created}</li>",
+      "<li>Resolved: {resolved}</li>",
+      "<li>Resolution: {resolution}</li>",
+      "<li>Environment: {environment}</li>",
+      "</ul>",
+    ].join("\n"),
+    comment: "<p><em>{author} wrote on {created}:</em></p>",
+  },
+};
+
+function getTemplate(envName, format, kind) {
+  const template = process.env[envName];
+  if (!template) return DEFAULT_TEMPLATES[format][kind];
+  if (template.toLowerCase() === "none") return "";
+  return template.replace(/\\n/g, "\n");
+}
+
+function formatDate(value) {
+  if (!value) return "";
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return String(value);
+  return `${date.toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+
+function getIssueUrl(issueKey) {
+  return `${getJiraSiteUrl()}/browse/${issueKey}`;
+}
+
+// Replace the placeholders of template, dropping lines with only empty ones
+function renderTemplate(template, values, format) {
+  const escape = format === "html" ? escapeHtml : escapeMarkdown;
+  return template
+    .split("\n")
+    .filter((line) => {
+      const names = Array.from(line.matchAll(/\{(\w+)\}/g), (m) => m[1]);
+      return names.length === 0 || names.some((name) => values[name]);
+    })
+    .map((line) =>
+      line.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        name in values ? escape(values[name] || "") : placeholder
+      )
+    )
+    .join("\n")
+    .trim();
+}
+
+/**
+ * The provenance block of an issue, wrapped in markers so it can be found
+ * again. Returns "" when the template is turned off.
+ */
+function renderProvenanceBlock(issue, format) {
+  const template = getTemplate("PROVENANCE_TEMPLATE", format, "description");
+  if (!template) return "";
+
+  const environment = convertAtlassianDocumentToText(issue.fields.environment)
+    .split("\n")
+    .filter(Boolean)
+    .join(" / ");
+  const block = renderTemplate(
+    template,
+    {
+      key: issue.key,
+      url: getIssueUrl(issue.key),
+      reporter: issue.fields.reporter?.displayName,
+      created: formatDate(issue.fields.created),
+      resolved: formatDate(issue.fields.resolutiondate),
+      resolution: issue.fields.resolution?.name,
+      environment,
+    },
+    format
+  );
+  return `${PROVENANCE_START}\n${block}\n${PROVENANCE_END}`;
+}
+
+// Append the provenance block to a description, replacing an existing one
+function appendProvenance(description, issue, format) {
+  const withoutBlock = removeProvenance(description || "");
+  const block = renderProvenanceBlock(issue, format);
+  if (!block) return withoutBlock;
+  return withoutBlock ? `${withoutBlock}\n\n${block}` : block;
+}
+
+function removeProvenance(text) {
+  const start = text.indexOf(PROVENANCE_START);
+  const end = text.indexOf(PROVENANCE_END);
+  if (start === -1 || end < start) return text;
+  return (
+    text.slice(0, start) + text.slice(end + PROVENANCE_END.length)
+  ).trim();
+}
+
+/**
+ * Header for a comment posted by the API user instead of its author.
+ * Returns "" when the template is turned off.
+ */
+function renderCommentHeader(comment, issue, format) {
+  const template = getTemplate("COMMENT_HEADER_TEMPLATE", format, "comment");
+  if (!template) return "";
+  return renderTemplate(
+    template,
+    {
+      author: comment.author?.displayName || "Unknown user",
+      created: formatDate(comment.created),
+      key: issue.key,
+      url: getIssueUrl(issue.key),
+    },
+    format
+  );
+}
+
+module.exports = {
+  appendProvenance,
+  renderCommentHeader,
+  PROVENANCE_START,
+  PROVENANCE_END,
+};
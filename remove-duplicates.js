@@ -1,76 +1,36 @@
 require("dotenv").config();
-const axios = require("axios");
-const { JIRA_ID_CUSTOM_FIELD } = require("./openproject-client");
-
-// OpenProject API configuration
-const openProjectConfig = {
-  baseURL: `${process.env.OPENPROJECT_HOST}/api/v3`,
-  headers: {
-    Authorization: `Basic ${Buffer.from(
-      `apikey:${process.env.OPENPROJECT_API_KEY}`
-    ).toString("base64")}`,
-    "Content-Type": "application/json",
-  },
-};
-
-const openProjectApi = axios.create(openProjectConfig);
+const {
+  openProjectApi,
+  getCollection,
+  JIRA_ID_CUSTOM_FIELD,
+} = require("./openproject-client");
 
 async function getAllWorkPackages(projectId) {
   try {
     console.log("\n=== Fetching All Work Packages ===");
     console.log("Fetching work packages from OpenProject...");
 
-    let allWorkPackages = [];
-    let page = 1;
-    const pageSize = 100;
-    let total = null;
-
-    while (true) {
-      console.log(`Fetching page ${page}...`);
-
-      const response = await openProjectApi.get("/work_packages", {
-        params: {
-          filters: JSON.stringify([
-            {
-              project: {
-                operator: "=",
-                values: [projectId.toString()],
-              },
+    const allWorkPackages = await getCollection(
+      "/work_packages",
+      {
+        filters: JSON.stringify([
+          {
+            project: {
+              operator: "=",
+              values: [projectId.toString()],
             },
-          ]),
-          pageSize: pageSize,
-          offset: page,
-        },
-      });
-
-      if (total === null) {
-        total = parseInt(response.data.total);
-        console.log(`Total work packages to fetch: ${total}`);
-      }
-
-      const workPackages = response.data._embedded.elements;
-      if (!workPackages || workPackages.length === 0) {
-        break;
-      }
-
-      allWorkPackages = allWorkPackages.concat(workPackages);
-      console.log(
-        `Retrieved ${
-          allWorkPackages.length
-        } of ${total} work packages (${Math.round(
-          (allWorkPackages.length / total) * 100
-        )}%)`
-      );
-
-      if (allWorkPackages.length >= total) {
-        break;
+          },
+        ]),
+      },
+      {
+        onPage: (fetched, total) =>
+          console.log(
+            `Retrieved ${fetched} of ${total} work packages (${
+              total ? Math.round((fetched / total) * 100) : 100
+            }%)`
+          ),
       }
-
-      page++;
-
-      // Add a small delay to prevent rate limiting
-      await new Promise((resolve) => setTimeout(resolve, 100));
-    }
+    );
 
     return allWorkPackages;
   } catch (error) {
@@ -0,0 +1,111 @@
+require("dotenv").config();
+const {
+  openProjectApi,
+  updateWorkPackage,
+  getExistingComments,
+  updateComment,
+} = require("./openproject-client");
+const {
+  rewriteJiraLinks,
+  loadLinkQueue,
+  saveLinkQueue,
+} = require("./link-rewriter");
+
+/**
+ * Rewrites the Jira references that were queued during migration because
+ * their work package didn't exist yet. Entries that are still unresolved
+ * stay in link-rewrite-queue.json for the next run.
+ */
+
+async function getQueuedText(entry) {
+  if (entry.target === "description") {
+    const response = await openProjectApi.get(
+      `/work_packages/${entry.workPackageId}`
+    );
+    return { text: response.data.description?.raw || "" };
+  }
+
+  const marker = `<!-- jira-comment-id: ${entry.jiraCommentId} -->`;
+  const comments = await getExistingComments(entry.workPackageId);
+  // Lookup errors must reach rewriteLinks() so the entry stays queued
+  if (!comments) {
+    throw new Error("could not fetch the comments of the work package");
+  }
+  const activity = comments.find((c) => c.comment.raw.includes(marker));
+  return activity ? { text: activity.comment.raw, activityId: activity.id } : null;
+}
+
+async function rewriteLinks(isProd) {
+  console.log("\n=== Rewriting Queued Jira References ===");
+  console.log("Production mode:", isProd ? "yes" : "no");
+
+  const queue = loadLinkQueue();
+  console.log(`Found ${queue.length} queued descriptions and comments`);
+
+  const remaining = [];
+  let rewritten = 0;
+  let failed = 0;
+
+  for (const entry of queue) {
+    const label =
+      entry.target === "description"
+        ? `description of work package ${entry.workPackageId}`
+        : `comment ${entry.jiraCommentId} on work package ${entry.workPackageId}`;
+
+    try {
+      const queued = await getQueuedText(entry);
+      if (!queued) {
+        console.warn(`Skipping ${label}: comment not found in OpenProject`);
+        remaining.push(entry);
+        continue;
+      }
+
+      const result = await rewriteJiraLinks(queued.text, {
+        format: entry.format,
+      });
+      if (result.unresolved.length > 0) {
+        console.log(`${label}: still unresolved ${result.unresolved.join(", ")}`);
+        remaining.push({ ...entry, keys: result.unresolved });
+      }
+      if (result.rewritten === 0) continue;
+
+      if (!isProd) {
+        console.log(
+          `[DRY RUN] Would rewrite ${result.rewritten} references in ${label}`
+        );
+        continue;
+      }
+
+      if (entry.target === "description") {
+        await updateWorkPackage(entry.workPackageId, {
+          description: { format: entry.format, raw: result.text },
+        });
+      } else {
+        await updateComment(queued.activityId, result.text, entry.format);
+      }
+      console.log(`Rewrote ${result.rewritten} references in ${label}`);
+      rewritten++;
+    } catch (error) {
+      console.error(`Error rewriting ${label}:`, error.message);
+      remaining.push(entry);
+      failed++;
+    }
+  }
+
+  if (isProd) {
+    saveLinkQueue(remaining);
+  }
+
+  console.log("\nRewrite summary:");
+  console.log(`Rewritten: ${rewritten}`);
+  console.log(`Still queued: ${remaining.length}`);
+  console.log(`Errors: ${failed}`);
+}
+
+const args = process.argv.slice(2);
+if (args.some((arg) => arg !== "--prod")) {
+  console.log("Usage: node rewrite-links.js [--prod]");
+  process.exit(1);
+}
+
+rewriteLinks(args.includes("--prod"));
@@ -1,4 +1,5 @@
 // Example user mapping - replace with your own mappings
+// Keys are Jira accountIds (Cloud) or usernames (Server / Data Center)
 const userMapping = {
   "jira-user-account-id-1": "openproject-user-id-1",
   "jira-user-account-id-2": "openproject-user-id-2",
@@ -0,0 +1,277 @@
+require("dotenv").config();
+const {
+  getProjectVersions: getJiraProjectVersions,
+  getProjectSprints,
+} = require("./jira-client");
+const { getJiraFieldId } = require("./jira-fields");
+const {
+  getProjectVersions,
+  createVersion,
+  updateVersion,
+} = require("./openproject-client");
+
+/**
+ * Maps Jira fixVersions and sprints to OpenProject versions.
+ *
+ * A work package can only have one version, so VERSION_PRECEDENCE decides
+ * which one wins when an issue has both:
+ *   VERSION_PRECEDENCE=fixVersion  (default) the fixVersion, else the last sprint
+ *   VERSION_PRECEDENCE=sprint      the last sprint, else the fixVersion
+ */
+
+const VERSION_PRECEDENCE =
+  (process.env.VERSION_PRECEDENCE || "").toLowerCase() === "sprint"
+    ? "sprint"
+    : "fixVersion";
+
+// Versions reopened by syncVersions() that haven't received their final
+// status yet: version ID -> status before the migration
+const reopenedVersions = new Map();
+
+function toDate(value) {
+  return value ? String(value).slice(0, 10) : null;
+}
+
+// Jira Cloud returns sprint objects. Jira Server / Data Center returns strings
+// like "com.atlassian.greenhopper.service.sprint.Sprint@1a2b[id=1,state=CLOSED,name=Sprint 1,...]"
+function parseSprint(value) {
+  if (!value) return null;
+  if (typeof value === "object") return value;
+
+  const match = String(value).match(/\[(.*)\]$/);
+  if (!match) return null;
+
+  const sprint = {};
+  for (const part of match[1].split(/,(?=\w+=)/)) {
+    const separator = part.indexOf("=");
+    const key = part.slice(0, separator);
+    const fieldValue = part.slice(separator + 1);
+    sprint[key] = fieldValue === "<null>" ? null : fieldValue;
+  }
+  if (sprint.id) sprint.id = Number(sprint.id);
+  if (sprint.state) sprint.state = sprint.state.toLowerCase();
+  return sprint;
+}
+
+function getIssueSprints(issue) {
+  const sprintField = getJiraFieldId("sprint");
+  const value = sprintField ? issue.fields[sprintField] : null;
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value])
+    .map(parseSprint)
+    .filter((sprint) => sprint && sprint.name);
+}
+
+// The sprint an issue ended up in: the active one, otherwise the one that
+// started last (Jira keeps carried-over sprints in the list).
+function getLastSprint(issue) {
+  const sprints = getIssueSprints(issue);
+  if (sprints.length === 0) return null;
+
+  const active = sprints.find((sprint) => sprint.state === "active");
+  if (active) return active;
+
+  return sprints.reduce((last, sprint) =>
+    (sprint.startDate || "") >= (last.startDate || "") ? sprint : last
+  );
+}
+
+function getFixVersion(issue) {
+  const fixVersions = issue.fields.fixVersions || [];
+  return fixVersions.length > 0 ? fixVersions[fixVersions.length - 1] : null;
+}
+
+// Name of the OpenProject version the issue should be assigned to
+function getIssueVersionName(issue, precedence = VERSION_PRECEDENCE) {
+  const fixVersion = getFixVersion(issue)?.name;
+  const sprint = getLastSprint(issue)?.name;
+  return precedence === "sprint" ? sprint || fixVersion : fixVersion || sprint;
+}
+
+function fromJiraVersion(version) {
+  return {
+    name: version.name,
+    description: version.description || "",
+    startDate: toDate(version.startDate),
+    endDate: toDate(version.releaseDate),
+    status: version.released || version.archived ? "closed" : "open",
+  };
+}
+
+function fromJiraSprint(sprint) {
+  return {
+    name: sprint.name,
+    description: sprint.goal || "",
+    startDate: toDate(sprint.startDate),
+    endDate: toDate(sprint.completeDate || sprint.endDate),
+    status: sprint.state === "closed" ? "closed" : "open",
+  };
+}
+
+/**
+ * Creates the OpenProject versions for all Jira versions and sprints of the
+ * project. OpenProject only assigns work packages to open versions, so every
+ * version stays open during the migration and receives its final status in
+ * finalizeVersions().
+ *
+ * Returns { versionIds: Map(name -> id), finalStatus: Map(id -> status), ... }
+ */
+async function syncVersions(jiraProjectKey, openProjectId, jiraIssues, isProd) {
+  console.log("\n=== Synchronizing Versions ===");
+
+  const planned = new Map();
+  for (const version of await getJiraProjectVersions(jiraProjectKey)) {
+    planned.set(version.name, fromJiraVersion(version));
+  }
+
+  const sprints = new Map();
+  for (const sprint of await getProjectSprints(jiraProjectKey)) {
+    sprints.set(sprint.name, sprint);
+  }
+  // Sprints of boards we can't read are still known from the issues
+  for (const issue of jiraIssues) {
+    for (const sprint of getIssueSprints(issue)) {
+      if (!sprints.has(sprint.name)) sprints.set(sprint.name, sprint);
+    }
+  }
+  for (const sprint of sprints.values()) {
+    if (!planned.has(sprint.name)) {
+      planned.set(sprint.name, fromJiraSprint(sprint));
+    }
+  }
+
+  // The project also lists versions shared by other projects. Those must not
+  // be reused, reopening and closing them would change the other project.
+  const existingVersions = (await getProjectVersions(openProjectId)).filter(
+    (v) => isDefinedIn(v, openProjectId)
+  );
+  const context = {
+    versionIds: new Map(),
+    finalStatus: new Map(),
+    created: 0,
+    reused: 0,
+  };
+
+  try {
+    await createVersions(
+      openProjectId,
+      planned,
+      existingVersions,
+      context,
+      isProd
+    );
+  } catch (error) {
+    await restoreReopenedVersions();
+    throw error;
+  }
+
+  console.log(
+    `Versions: ${context.created} created, ${context.reused} already existing`
+  );
+  return context;
+}
+
+function isDefinedIn(version, projectId) {
+  const href = version._links?.definingProject?.href || "";
+  return href.split("/").pop() === String(projectId);
+}
+
+async function createVersions(
+  openProjectId,
+  planned,
+  existingVersions,
+  context,
+  isProd
+) {
+  for (const version of planned.values()) {
+    const existing = existingVersions.find((v) => v.name === version.name);
+    if (existing) {
+      console.log(`Using existing version ${version.name} (ID: ${existing.id})`);
+      context.versionIds.set(version.name, existing.id);
+      context.finalStatus.set(existing.id, version.status);
+      context.reused++;
+
+      if (existing.status !== "open") {
+        if (isProd) {
+          reopenedVersions.set(existing.id, existing.status);
+          await updateVersion(existing.id, { status: "open" });
+        } else {
+          console.log(`[DRY RUN] Would reopen version ${version.name}`);
+        }
+      }
+      continue;
+    }
+
+    const payload = {
+      name: version.name,
+      description: { format: "plain", raw: version.description },
+      startDate: version.startDate,
+      endDate: version.endDate,
+      status: "open",
+    };
+
+    if (isProd) {
+      const created = await createVersion(openProjectId, payload);
+      console.log(`Created version ${version.name} (ID: ${created.id})`);
+      context.versionIds.set(version.name, created.id);
+      context.finalStatus.set(created.id, version.status);
+    } else {
+      console.log(
+        "[DRY RUN] Would create version:",
+        JSON.stringify(payload, null, 2)
+      );
+      context.versionIds.set(version.name, `DRY_RUN_VERSION_${version.name}`);
+    }
+    context.created++;
+  }
+}
+
+// Close the versions whose Jira release or sprint is closed
+async function finalizeVersions(context, isProd) {
+  for (const [versionId, status] of context.finalStatus.entries()) {
+    reopenedVersions.delete(versionId);
+    if (status === "open") continue;
+
+    if (!isProd) {
+      console.log(`[DRY RUN] Would set version ${versionId} to ${status}`);
+      continue;
+    }
+
+    try {
+      await updateVersion(versionId, { status });
+    } catch (error) {
+      console.error(
+        `Could not set version ${versionId} to ${status}:`,
+        error.message
+      );
+    }
+  }
+}
+
+/**
+ * Sets the versions reopened by syncVersions() back to their previous status
+ * when a migration stops before finalizeVersions().
+ */
+async function restoreReopenedVersions() {
+  for (const [versionId, status] of reopenedVersions.entries()) {
+    try {
+      await updateVersion(versionId, { status });
+      console.log(`Restored version ${versionId} to ${status}`);
+    } catch (error) {
+      console.error(
+        `Could not restore version ${versionId} to ${status}:`,
+        error.message
+      );
+    }
+  }
+  reopenedVersions.clear();
+}
+
+module.exports = {
+  syncVersions,
+  finalizeVersions,
+  restoreReopenedVersions,
+  getIssueVersionName,
+  getIssueSprints,
+  VERSION_PRECEDENCE,
+};